@@ -0,0 +1,109 @@
+/*
+ * =============================================================================
+ * FILE: src/auditDO.mjs
+ *
+ * DESCRIPTION:
+ * Defines the `AuditDO` class, an append-only, hash-chained log of data
+ * erasures. Each entry records when an erasure happened and how many records
+ * were removed, but never the identifiers or data that were erased. Every
+ * entry's hash covers the previous entry's hash, so any later modification or
+ * deletion breaks the chain and is detected by `verify`.
+ * =============================================================================
+ */
+
+import {DurableObject} from "cloudflare:workers";
+import {runMigrations} from './lib/migrations.mjs';
+
+/**
+ * The hash that precedes the first entry of the chain.
+ * @type {string}
+ */
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * The versioned schema of the `AuditDO`.
+ * @type {import('./lib/migrations.mjs').Migration[]}
+ */
+const AUDIT_MIGRATIONS = [
+    {
+        version: 1,
+        name: 'erasure-log',
+        statements: [
+            `CREATE TABLE erasures (
+                seq INTEGER PRIMARY KEY,
+                erased_at INTEGER NOT NULL,
+                summary TEXT NOT NULL,
+                prev_hash TEXT NOT NULL,
+                hash TEXT NOT NULL
+            )`,
+        ],
+    },
+];
+
+/** @private */
+const encoder = new TextEncoder();
+
+/**
+ * Computes the hash of a log entry.
+ * @param {{seq: number, erased_at: number, summary: string, prev_hash: string}} entry - The entry.
+ * @returns {Promise<string>} The hex-encoded SHA-256 hash.
+ * @private
+ */
+const hashEntry = async (entry) => {
+    const payload = `${entry.prev_hash}|${entry.seq}|${entry.erased_at}|${entry.summary}`;
+    const digest = await crypto.subtle.digest('SHA-256', encoder.encode(payload));
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+export class AuditDO extends DurableObject {
+    constructor(ctx, env) {
+        super(ctx, env);
+        this.ctx = ctx;
+        this.env = env;
+        this.ctx.blockConcurrencyWhile(async () => {
+            runMigrations(this.ctx.storage, AUDIT_MIGRATIONS);
+        });
+    }
+
+    /**
+     * Appends an erasure to the log.
+     * @param {object} summary - Non-personal facts about the erasure (e.g. record counts).
+     * @returns {Promise<{seq: number, erasedAt: number, hash: string}>} A receipt for the entry.
+     */
+    async recordErasure(summary = {}) {
+        // Hashing yields the event loop; block other requests so two appends can't share a predecessor.
+        return this.ctx.blockConcurrencyWhile(async () => {
+            const sql = this.ctx.storage.sql;
+            const last = sql.exec('SELECT seq, hash FROM erasures ORDER BY seq DESC LIMIT 1').toArray()[0];
+            const entry = {
+                seq: (last?.seq || 0) + 1,
+                erased_at: Date.now(),
+                summary: JSON.stringify(summary),
+                prev_hash: last?.hash || GENESIS_HASH,
+            };
+            const hash = await hashEntry(entry);
+            sql.exec(
+                'INSERT INTO erasures (seq, erased_at, summary, prev_hash, hash) VALUES (?, ?, ?, ?, ?)',
+                entry.seq, entry.erased_at, entry.summary, entry.prev_hash, hash
+            );
+            return {seq: entry.seq, erasedAt: entry.erased_at, hash};
+        });
+    }
+
+    /**
+     * Recomputes the hash chain from the first entry.
+     * @returns {Promise<{valid: boolean, entries: number, brokenAt: number | null}>} The verification result.
+     */
+    async verify() {
+        let previousHash = GENESIS_HASH;
+        let entries = 0;
+        for (const row of this.ctx.storage.sql.exec('SELECT * FROM erasures ORDER BY seq ASC').toArray()) {
+            entries++;
+            if (row.seq !== entries || row.prev_hash !== previousHash || await hashEntry(row) !== row.hash) {
+                return {valid: false, entries, brokenAt: row.seq};
+            }
+            previousHash = row.hash;
+        }
+        return {valid: true, entries, brokenAt: null};
+    }
+}
@@ -0,0 +1,253 @@
+/*
+ * =============================================================================
+ * FILE: src/lib/adminApi.mjs
+ *
+ * DESCRIPTION:
+ * An HTTP/JSON admin API for ops tooling and services that cannot use the
+ * RPC interface. Served by the worker's `fetch` handler and authenticated with
+ * the `ADMIN_TOKEN` secret as a bearer token, or with a client certificate
+ * verified by Cloudflare mTLS (`request.cf.tlsClientAuth`).
+ *
+ * Routes:
+ *   GET    /health                 Liveness (unauthenticated).
+ *   GET    /config                 Effective configuration, with secrets redacted.
+ *   GET    /sessions/:cID          A client's state and recent sessions (`?tenant=<name>` for tenants).
+ *   DELETE /sessions/:cID          Erases a client.
+ *   POST   /sessions/:cID/revoke   Revokes every session of a client, or one `{"sID"}`.
+ *
+ * Errors use the shape of `httpResponses.mjs`, with an `ADMIN_ERROR` code.
+ * =============================================================================
+ */
+
+import {parseSigningKeys, timingSafeEqual} from './cookieSigner.mjs';
+import {policyConfigFromEnv} from './sessionPolicies.mjs';
+import {consentConfigFromEnv} from './consent.mjs';
+import {botConfigFromEnv} from './botDetection.mjs';
+import {riskConfigFromEnv} from './hijackDetection.mjs';
+import {sessionTokenConfigFromEnv} from './sessionToken.mjs';
+import {getFingerprintStrategy} from './fingerprint.mjs';
+import {parseRateLimitPolicies} from './rateLimiter.mjs';
+import {parseTenantProfiles, tenantEnv, tenantDoName} from './tenants.mjs';
+import {errorResponse, jsonResponse} from './httpResponses.mjs';
+
+/**
+ * The error codes of the admin API.
+ * @readonly
+ * @enum {string}
+ */
+export const ADMIN_ERROR = {
+    /** No valid bearer token or client certificate, or the admin API is not configured. */
+    UNAUTHORIZED: 'unauthorized',
+    /** No such route, or the client has no state. */
+    NOT_FOUND: 'not_found',
+    /** The route exists but not for this method. */
+    METHOD_NOT_ALLOWED: 'method_not_allowed',
+    /** A malformed cID, tenant or request body. */
+    BAD_REQUEST: 'bad_request',
+    /** The Durable Object call failed. */
+    INTERNAL: 'internal_error',
+};
+
+/**
+ * Variables that are always redacted from `/config`.
+ * @type {string[]}
+ */
+const SECRET_VARS = ['ADMIN_TOKEN', 'COOKIE_SIGNING_KEYS'];
+
+/** @private */
+const SECRET_NAME_PATTERN = /SECRET|PASSWORD|PRIVATE|CREDENTIAL/i;
+
+/** @private */
+const REDACTED = '[redacted]';
+
+/** @private */
+const CID_PATTERN = /^[A-Za-z0-9_.~-]{1,200}$/;
+
+/**
+ * @typedef {object} AdminConfig
+ * @property {string} token - The bearer token (`ADMIN_TOKEN` secret). Empty disables token auth.
+ * @property {boolean} mtls - Whether a client certificate verified by Cloudflare mTLS authorizes a request.
+ * @property {string[]} certFingerprints - If not empty, the SHA-256 fingerprints (lowercase hex) of the only
+ * certificates accepted.
+ */
+
+/**
+ * Reads the admin API configuration from the worker's environment.
+ * @param {object} env - The environment object.
+ * @returns {AdminConfig} The configuration. The API rejects every request unless a token or mTLS is configured.
+ */
+export function adminConfigFromEnv(env) {
+    return {
+        token: env.ADMIN_TOKEN || '',
+        mtls: String(env.ADMIN_MTLS) === 'true',
+        certFingerprints: String(env.ADMIN_MTLS_CERT_FINGERPRINTS || '').split(',')
+            .map(fingerprint => fingerprint.trim().toLowerCase().replace(/:/g, '')).filter(Boolean),
+    };
+}
+
+/**
+ * Whether the request presented a client certificate that Cloudflare verified
+ * (and, with an allowlist, one of the allowed certificates). The result comes
+ * from the runtime's `request.cf`, which a client cannot set.
+ * @private
+ * @param {Request} request - The incoming request.
+ * @param {AdminConfig} config - From `adminConfigFromEnv`.
+ * @returns {boolean} True if the certificate is accepted.
+ */
+const hasVerifiedCertificate = (request, config) => {
+    const auth = request.cf?.tlsClientAuth;
+    if (!config.mtls || auth?.certVerified !== 'SUCCESS') return false;
+    return config.certFingerprints.length === 0
+        || config.certFingerprints.includes(String(auth.certFingerprintSHA256 || '').toLowerCase());
+};
+
+/**
+ * Checks a request's credentials.
+ * @param {Request} request - The incoming request.
+ * @param {AdminConfig} config - From `adminConfigFromEnv`.
+ * @returns {boolean} True if the bearer token or the client certificate is valid.
+ */
+export function isAdminAuthorized(request, config) {
+    if (hasVerifiedCertificate(request, config)) return true;
+    const [scheme, credentials] = (request.headers.get('Authorization') || '').split(' ');
+    return Boolean(config.token) && scheme?.toLowerCase() === 'bearer'
+        && typeof credentials === 'string' && timingSafeEqual(credentials, config.token);
+}
+
+/** @private */
+const redactVars = (vars) => Object.fromEntries(Object.entries(vars)
+    .filter(([name, value]) => ['string', 'number', 'boolean'].includes(typeof value) && name !== 'TENANT_PROFILES')
+    .map(([name, value]) => [name, value !== '' && (SECRET_VARS.includes(name) || SECRET_NAME_PATTERN.test(name)) ? REDACTED : value]));
+
+/**
+ * Builds the effective configuration of an environment with secrets redacted.
+ * @param {object} env - The worker's (or a tenant's) environment.
+ * @returns {object} The plain variables, binding names, and the parsed configuration the service runs with.
+ */
+export function redactedConfig(env) {
+    const risk = riskConfigFromEnv(env);
+    return {
+        // Tenant profiles are listed parsed, with their own variables redacted.
+        vars: redactVars(env),
+        bindings: Object.keys(env).filter(name => typeof env[name] === 'object' && env[name] !== null).sort(),
+        effective: {
+            sessionPolicies: policyConfigFromEnv(env),
+            consent: consentConfigFromEnv(env),
+            bots: botConfigFromEnv(env),
+            risk: {...risk, rules: Object.fromEntries(risk.rules)},
+            sessionToken: sessionTokenConfigFromEnv(env),
+            fingerprintStrategy: getFingerprintStrategy(env).name,
+            rateLimitPolicies: [...parseRateLimitPolicies(env.RATE_LIMIT_POLICIES).values()],
+            signingKeyIds: parseSigningKeys(env.COOKIE_SIGNING_KEYS).map(key => key.kid),
+            tenants: [...parseTenantProfiles(env.TENANT_PROFILES).values()].map(profile => ({
+                ...profile,
+                vars: redactVars(profile.vars),
+            })),
+        },
+    };
+}
+
+/** @private */
+const routes = [
+    {
+        pattern: /^\/health$/,
+        public: true,
+        methods: {
+            GET: async (env) => jsonResponse({
+                status: 'ok',
+                timestamp: new Date().toISOString(),
+                bindings: {SESSION_DO: Boolean(env.SESSION_DO), USER_DO: Boolean(env.USER_DO), AUDIT_DO: Boolean(env.AUDIT_DO)},
+            }),
+        },
+    },
+    {
+        pattern: /^\/config$/,
+        methods: {
+            GET: async (env, request, {tenant}) => jsonResponse(redactedConfig(tenant ? tenantEnv(env, tenant) : env)),
+        },
+    },
+    {
+        pattern: /^\/sessions\/([^/]+)$/,
+        methods: {
+            GET: async (env, request, {client}) => jsonResponse(client),
+            DELETE: async (env, request, {cID, stub}) => {
+                const {setCookieHeaders, ...summary} = await stub.erase();
+                return jsonResponse({cID, ...summary});
+            },
+        },
+    },
+    {
+        pattern: /^\/sessions\/([^/]+)\/revoke$/,
+        methods: {
+            POST: async (env, request, {cID, stub}) => {
+                let body = {};
+                if (request.headers.get('Content-Type')?.includes('application/json')) {
+                    try {
+                        body = await request.json();
+                    } catch {
+                        return errorResponse(400, ADMIN_ERROR.BAD_REQUEST, 'The request body is not valid JSON.');
+                    }
+                }
+                if (body?.sID) return jsonResponse({cID, ...(await stub.revokeSession(String(body.sID)))});
+                return jsonResponse({cID, ...(await stub.revokeAllSessions())});
+            },
+        },
+    },
+];
+
+/**
+ * Serves an admin API request.
+ * @param {Request} request - The incoming request.
+ * @param {object} env - The worker's environment.
+ * @returns {Promise<Response>} A JSON response.
+ */
+export async function handleAdminRequest(request, env) {
+    const {pathname, searchParams} = new URL(request.url);
+    const route = routes.find(candidate => candidate.pattern.test(pathname));
+
+    // Credentials are checked before routing, so unauthenticated callers can't discover routes.
+    if (!route?.public && !isAdminAuthorized(request, adminConfigFromEnv(env))) {
+        return errorResponse(401, ADMIN_ERROR.UNAUTHORIZED, 'A valid bearer token or client certificate is required.', {
+            'WWW-Authenticate': 'Bearer',
+        });
+    }
+    if (!route) {
+        return errorResponse(404, ADMIN_ERROR.NOT_FOUND, `No route for ${pathname}.`);
+    }
+    const handler = route.methods[request.method];
+    if (!handler) {
+        return errorResponse(405, ADMIN_ERROR.METHOD_NOT_ALLOWED, `${request.method} is not allowed on ${pathname}.`, {
+            Allow: Object.keys(route.methods).join(', '),
+        });
+    }
+
+    const tenant = searchParams.get('tenant');
+    if (tenant && !parseTenantProfiles(env.TENANT_PROFILES).has(tenant)) {
+        return errorResponse(400, ADMIN_ERROR.BAD_REQUEST, `Unknown tenant "${tenant}".`);
+    }
+    const [, encodedCID] = route.pattern.exec(pathname);
+    let cID;
+    if (encodedCID !== undefined) {
+        try {
+            cID = decodeURIComponent(encodedCID);
+        } catch {
+            cID = '';
+        }
+        if (!CID_PATTERN.test(cID)) {
+            return errorResponse(400, ADMIN_ERROR.BAD_REQUEST, 'Malformed cID.');
+        }
+    }
+
+    try {
+        if (cID === undefined) return await handler(env, request, {tenant});
+        const stub = env.SESSION_DO.getByName(tenantDoName(tenant, cID));
+        const client = await stub.inspect();
+        if (!client) {
+            return errorResponse(404, ADMIN_ERROR.NOT_FOUND, `No client "${cID}".`);
+        }
+        return await handler(env, request, {cID, stub, client});
+    } catch (err) {
+        console.error(`Admin API ${request.method} ${pathname} failed:`, err);
+        return errorResponse(500, ADMIN_ERROR.INTERNAL, 'The request could not be completed.');
+    }
+}
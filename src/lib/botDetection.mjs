@@ -0,0 +1,155 @@
+/*
+ * =============================================================================
+ * FILE: src/lib/botDetection.mjs
+ *
+ * DESCRIPTION:
+ * A lightweight classifier that scores how likely a request is to come from a
+ * bot or automation tool. It combines Cloudflare's Bot Management signals
+ * (when the zone has them) with heuristics on the fingerprint data and a
+ * per-isolate request rate for each fingerprint.
+ * =============================================================================
+ */
+
+/**
+ * User agents of well-known crawlers, monitors, and HTTP libraries.
+ * @type {RegExp}
+ */
+const KNOWN_BOT_UA = /bot\b|crawl|spider|slurp|mediapartners|facebookexternalhit|embedly|preview|monitor|pingdom|uptime|lighthouse|headless|phantomjs|puppeteer|playwright|selenium|curl\/|wget\/|python-requests|python-urllib|aiohttp|httpx|go-http-client|okhttp|java\/|libwww|axios\/|node-fetch|undici/i;
+
+/**
+ * User agents that claim to be a Chromium browser, which always send client hints.
+ * @type {RegExp}
+ */
+const CHROMIUM_UA = /Chrome\/\d+/;
+
+/**
+ * The length of the rate window in milliseconds.
+ * @type {number}
+ */
+const RATE_WINDOW_MS = 60 * 1000;
+
+/**
+ * The maximum number of fingerprints tracked per isolate before the map is reset.
+ * @type {number}
+ */
+const MAX_TRACKED_FINGERPRINTS = 10000;
+
+/**
+ * Request counts per fingerprint key for the current window. This is
+ * per-isolate, so it is a cheap, approximate signal rather than a global count.
+ * @type {Map<string, {windowStart: number, count: number}>}
+ */
+const requestRates = new Map();
+
+/**
+ * The score contributed by each heuristic signal (0-100 scale).
+ * @type {Object<string, number>}
+ */
+const SIGNAL_WEIGHTS = {
+    knownBotUserAgent: 80,
+    missingUserAgent: 60,
+    missingAcceptLanguage: 25,
+    headerAnomaly: 25,
+    highRequestRate: 35,
+};
+
+/**
+ * Records a request for a fingerprint key and returns the count in the current window.
+ * @param {string} key - The fingerprint key (e.g. the stable DO key).
+ * @param {number} [now=Date.now()] - The current time.
+ * @returns {number} The number of requests seen for this key in the current window.
+ */
+export function trackRequestRate(key, now = Date.now()) {
+    if (requestRates.size >= MAX_TRACKED_FINGERPRINTS) requestRates.clear();
+    const entry = requestRates.get(key);
+    if (!entry || now - entry.windowStart >= RATE_WINDOW_MS) {
+        requestRates.set(key, {windowStart: now, count: 1});
+        return 1;
+    }
+    entry.count++;
+    return entry.count;
+}
+
+/**
+ * @typedef {object} BotClassification
+ * @property {number} botScore - 0 (human) to 100 (certainly automated).
+ * @property {boolean} isBot - Whether the score meets the configured threshold.
+ * @property {boolean} isVerifiedBot - Whether Cloudflare verified the bot (e.g. Googlebot).
+ * @property {string[]} botReasons - The signals that contributed to the score.
+ */
+
+/**
+ * Classifies a request.
+ *
+ * Note that the Workers runtime normalises header order, so "header order
+ * anomalies" are detected as inconsistencies between the headers a client
+ * claims (via its user agent) and the headers it actually sends.
+ *
+ * @param {Request} request - The incoming request.
+ * @param {object} rawData - The raw data object from `getRawFingerprintData`.
+ * @param {object} [options={}]
+ * @param {number} [options.threshold=70] - The score at or above which a request is a bot.
+ * @param {number} [options.requestRate=0] - Requests seen for this fingerprint in the current window.
+ * @param {number} [options.rateLimit=120] - The per-minute rate considered automated.
+ * @returns {BotClassification} The classification.
+ */
+export function classifyBot(request, rawData, options = {}) {
+    const {threshold = 70, requestRate = 0, rateLimit = 120} = options;
+    const botManagement = request.cf?.botManagement;
+    const reasons = [];
+
+    if (botManagement?.verifiedBot || request.cf?.verifiedBotCategory) {
+        return {botScore: 100, isBot: true, isVerifiedBot: true, botReasons: ['verifiedBot']};
+    }
+
+    let heuristicScore = 0;
+    const addSignal = (name) => {
+        reasons.push(name);
+        heuristicScore += SIGNAL_WEIGHTS[name];
+    };
+
+    if (!rawData.userAgent) addSignal('missingUserAgent');
+    else if (KNOWN_BOT_UA.test(rawData.userAgent)) addSignal('knownBotUserAgent');
+    if (!rawData.acceptLang) addSignal('missingAcceptLanguage');
+
+    const claimsChromium = CHROMIUM_UA.test(rawData.userAgent) && request.headers.get('sec-ch-ua') === null;
+    const claimsBrowser = /Mozilla\//.test(rawData.userAgent) &&
+        (request.headers.get('accept') === null || request.headers.get('sec-fetch-mode') === null && claimsChromium);
+    if (claimsChromium || claimsBrowser) addSignal('headerAnomaly');
+
+    if (requestRate > rateLimit) addSignal('highRequestRate');
+
+    let botScore = Math.min(100, heuristicScore);
+    // Cloudflare's score is 1 (bot) to 99 (human); invert it and let it dominate the heuristics.
+    if (typeof botManagement?.score === 'number' && botManagement.score > 0) {
+        reasons.push('botManagementScore');
+        botScore = Math.max(100 - botManagement.score, Math.round(botScore / 2));
+    }
+
+    return {botScore, isBot: botScore >= threshold, isVerifiedBot: false, botReasons: reasons};
+}
+
+/**
+ * The supported handling modes for confirmed bots.
+ * @readonly
+ * @enum {string}
+ */
+export const BOT_MODE = {
+    /** Process bots like any other client, but tag them. */
+    TAG: 'tag',
+    /** Do not create a Durable Object or issue cookies for confirmed bots. */
+    SKIP: 'skip',
+};
+
+/**
+ * Reads the bot detection configuration from the worker's environment.
+ * @param {object} env - The environment object.
+ * @returns {{mode: BOT_MODE, threshold: number, rateLimit: number}} The configuration.
+ */
+export function botConfigFromEnv(env) {
+    return {
+        mode: env.BOT_MODE === BOT_MODE.SKIP ? BOT_MODE.SKIP : BOT_MODE.TAG,
+        threshold: parseInt(env.BOT_SCORE_THRESHOLD, 10) || 70,
+        rateLimit: parseInt(env.BOT_RATE_LIMIT_PER_MINUTE, 10) || 120,
+    };
+}
@@ -0,0 +1,180 @@
+/*
+ * =============================================================================
+ * FILE: src/lib/consent.mjs
+ *
+ * DESCRIPTION:
+ * Resolves a request's tracking consent from the Global Privacy Control
+ * (`Sec-GPC`) and Do Not Track (`DNT`) headers and a consent cookie written by
+ * the parent application or its consent management platform. Without consent
+ * the service only issues non-persistent identifiers, skips the fingerprint
+ * cookie, and suppresses or anonymises analytics.
+ * =============================================================================
+ */
+
+/**
+ * The consent categories understood by the service.
+ * @readonly
+ * @enum {string}
+ */
+export const CONSENT_CATEGORY = {
+    /** Strictly necessary processing. Always granted. */
+    NECESSARY: 'necessary',
+    PREFERENCES: 'preferences',
+    /** Required for persistent identifiers, the fingerprint cookie, and analytics. */
+    ANALYTICS: 'analytics',
+    MARKETING: 'marketing',
+};
+
+/**
+ * How consent is applied.
+ * @readonly
+ * @enum {string}
+ */
+export const CONSENT_MODE = {
+    /** Consent is not evaluated; every request is treated as consenting. */
+    OFF: 'off',
+    /** Tracking is allowed unless the user opted out (cookie, GPC or DNT). */
+    OPT_OUT: 'opt-out',
+    /** Tracking requires an explicit grant of the `analytics` category. */
+    OPT_IN: 'opt-in',
+};
+
+/**
+ * What happens to analytics for requests without consent.
+ * @readonly
+ * @enum {string}
+ */
+export const CONSENT_ANALYTICS = {
+    /** Write the data point with every identifier replaced. */
+    ANONYMISE: 'anonymise',
+    /** Write nothing. */
+    SUPPRESS: 'suppress',
+};
+
+/**
+ * Where a consent decision came from.
+ * @readonly
+ * @enum {string}
+ */
+export const CONSENT_SOURCE = {
+    COOKIE: 'cookie',
+    GPC: 'gpc',
+    DNT: 'dnt',
+    DEFAULT: 'default',
+};
+
+/**
+ * @typedef {object} ConsentState
+ * @property {CONSENT_MODE} mode - The configured consent mode.
+ * @property {boolean} granted - Whether persistent tracking is allowed for this request.
+ * @property {string[]} categories - The granted categories (always including `necessary`).
+ * @property {CONSENT_SOURCE} source - What the decision was based on.
+ * @property {string | null} version - The consent version from the cookie, if present.
+ */
+
+/**
+ * Reads a raw (unprefixed) cookie value.
+ * @private
+ */
+const readCookie = (cookieHeader, name) => {
+    if (!cookieHeader) return null;
+    for (const cookie of cookieHeader.split(';')) {
+        const separator = cookie.indexOf('=');
+        if (separator > 0 && cookie.slice(0, separator).trim() === name) {
+            return decodeURIComponent(cookie.slice(separator + 1).trim());
+        }
+    }
+    return null;
+};
+
+/**
+ * Parses a consent cookie value of the form `"necessary,analytics"`, with an
+ * optional version suffix: `"necessary,analytics|2024-05"`.
+ *
+ * @param {string | null} value - The cookie value.
+ * @returns {{categories: string[], version: string | null} | null} The parsed value, or null if absent.
+ */
+export function parseConsentCookie(value) {
+    if (!value) return null;
+    const [list, version] = value.split('|');
+    const categories = list.split(',').map(category => category.trim().toLowerCase()).filter(Boolean);
+    return {
+        categories: [...new Set([CONSENT_CATEGORY.NECESSARY, ...categories])],
+        version: version?.trim() || null,
+    };
+}
+
+/**
+ * Serialises categories and a version into a consent cookie value.
+ * @param {string[]} categories - The granted categories.
+ * @param {string | null} [version=null] - The version of the consent text.
+ * @returns {string} The cookie value.
+ */
+export function formatConsentCookie(categories, version = null) {
+    const list = [...new Set([CONSENT_CATEGORY.NECESSARY, ...categories])].join(',');
+    return version ? `${list}|${version}` : list;
+}
+
+/**
+ * Builds the `Set-Cookie` header for a consent cookie. Unlike the identifier
+ * cookies it is unprefixed and readable by client-side scripts, so a consent
+ * management platform can share it.
+ *
+ * @param {string} name - The cookie name.
+ * @param {string} value - The value from `formatConsentCookie`.
+ * @param {{expires?: Date, domain?: string}} [options={}]
+ * @returns {string} The header value.
+ */
+export function consentCookieHeader(name, value, options = {}) {
+    let header = `${name}=${encodeURIComponent(value)}; Path=/`;
+    if (options.expires) header += `; Expires=${options.expires.toUTCString()}`;
+    if (options.domain) header += `; Domain=${options.domain}`;
+    return `${header}; Secure; SameSite=Lax`;
+}
+
+/**
+ * Resolves the consent state of a request. An explicit cookie always wins;
+ * otherwise GPC and DNT count as an opt-out.
+ *
+ * @param {Request} request - The incoming request.
+ * @param {{mode: CONSENT_MODE, cookieName: string}} config - From `consentConfigFromEnv`.
+ * @returns {ConsentState} The consent state.
+ */
+export function resolveConsent(request, config) {
+    const allCategories = Object.values(CONSENT_CATEGORY);
+    if (config.mode === CONSENT_MODE.OFF) {
+        return {mode: config.mode, granted: true, categories: allCategories, source: CONSENT_SOURCE.DEFAULT, version: null};
+    }
+
+    const cookie = parseConsentCookie(readCookie(request.headers.get('Cookie'), config.cookieName));
+    if (cookie) {
+        return {
+            mode: config.mode,
+            granted: cookie.categories.includes(CONSENT_CATEGORY.ANALYTICS),
+            categories: cookie.categories,
+            source: CONSENT_SOURCE.COOKIE,
+            version: cookie.version,
+        };
+    }
+
+    const denied = {mode: config.mode, granted: false, categories: [CONSENT_CATEGORY.NECESSARY], version: null};
+    if (request.headers.get('Sec-GPC') === '1') return {...denied, source: CONSENT_SOURCE.GPC};
+    if (request.headers.get('DNT') === '1') return {...denied, source: CONSENT_SOURCE.DNT};
+
+    return config.mode === CONSENT_MODE.OPT_IN
+        ? {...denied, source: CONSENT_SOURCE.DEFAULT}
+        : {mode: config.mode, granted: true, categories: allCategories, source: CONSENT_SOURCE.DEFAULT, version: null};
+}
+
+/**
+ * Reads the consent configuration from the worker's environment.
+ * @param {object} env - The environment object.
+ * @returns {{mode: CONSENT_MODE, cookieName: string, analytics: CONSENT_ANALYTICS}} The configuration.
+ */
+export function consentConfigFromEnv(env) {
+    return {
+        mode: Object.values(CONSENT_MODE).includes(env.CONSENT_MODE) ? env.CONSENT_MODE : CONSENT_MODE.OFF,
+        cookieName: env.CONSENT_COOKIE_NAME || 'consent',
+        analytics: env.CONSENT_ANALYTICS === CONSENT_ANALYTICS.SUPPRESS ? CONSENT_ANALYTICS.SUPPRESS : CONSENT_ANALYTICS.ANONYMISE,
+    };
+}
@@ -29,6 +29,21 @@ export const EID_COOKIE = 'eID';
  */
 export const FPID_COOKIE = 'fpID';
 
+/**
+ * @constant {string} UID_COOKIE - The internal key for the linked User ID.
+ */
+export const UID_COOKIE = 'uID';
+
+/**
+ * @constant {string} CSRF_COOKIE - The internal key for the session's CSRF token.
+ */
+export const CSRF_COOKIE = 'csrf';
+
+/**
+ * @constant {string} ERASURE_LOG_NAME - The name of the `AuditDO` instance that holds the erasure log.
+ */
+export const ERASURE_LOG_NAME = 'erasures';
+
 /**
  * @constant {number} STABLE_KEY_LENGTH - The character length of a stable key
  * generated by `createStableDurableObjectKey`. This is used as a reliable
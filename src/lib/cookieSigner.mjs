@@ -0,0 +1,201 @@
+/*
+ * =============================================================================
+ * FILE: src/lib/cookieSigner.mjs
+ *
+ * DESCRIPTION:
+ * Produces and verifies tamper-evident cookie values using HMAC-SHA256 via the
+ * Web Crypto API. Each signed value carries the ID of the key that signed it,
+ * which allows secrets to be rotated without invalidating existing cookies.
+ *
+ * Signed format: `<value>.<keyId>.<signature>`
+ * =============================================================================
+ */
+
+/**
+ * The possible outcomes of verifying a cookie value.
+ * @readonly
+ * @enum {string}
+ */
+export const SIGNATURE_STATUS = {
+    /** No value was present. */
+    MISSING: 'missing',
+    /** Signed with the currently active key. */
+    VALID: 'valid',
+    /** Signed with an older, still-trusted key. Should be re-issued. */
+    ROTATED: 'rotated',
+    /** Unsigned, but accepted within the migration window. Should be re-issued signed. */
+    LEGACY: 'legacy',
+    /** Tampered, signed with an unknown key, or unsigned outside the migration window. */
+    INVALID: 'invalid',
+};
+
+/**
+ * The number of HMAC bytes kept in the signature (128 bits).
+ * @type {number}
+ */
+const SIGNATURE_BYTES = 16;
+
+/**
+ * A module-level cache of imported CryptoKeys, keyed by secret, so that keys are
+ * imported once per isolate rather than once per request.
+ * @type {Map<string, Promise<CryptoKey>>}
+ */
+const importedKeys = new Map();
+
+/** @private */
+const encoder = new TextEncoder();
+
+/** @private */
+const importKey = (secret) => {
+    if (!importedKeys.has(secret)) {
+        importedKeys.set(secret, crypto.subtle.importKey(
+            'raw',
+            encoder.encode(secret),
+            {name: 'HMAC', hash: 'SHA-256'},
+            false,
+            ['sign']
+        ));
+    }
+    return importedKeys.get(secret);
+};
+
+/** @private */
+const toBase64Url = (buffer) => {
+    const bytes = new Uint8Array(buffer, 0, SIGNATURE_BYTES);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+/**
+ * Compares two strings in time that does not depend on where they differ.
+ * @param {string} a - The first string.
+ * @param {string} b - The second string.
+ * @returns {boolean} True if the strings are equal.
+ */
+export const timingSafeEqual = (a, b) => {
+    if (a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    return diff === 0;
+};
+
+/**
+ * Parses a signing key list of the form `"kid2:secretB,kid1:secretA"`.
+ * The first entry is the active signing key; the rest are only used to verify.
+ *
+ * @param {string | undefined} value - The raw key list, typically `env.COOKIE_SIGNING_KEYS`.
+ * @returns {{kid: string, secret: string}[]} The parsed keys, in priority order.
+ */
+export function parseSigningKeys(value) {
+    if (!value) return [];
+    return String(value).split(',').map(entry => {
+        const separator = entry.indexOf(':');
+        if (separator <= 0) return null;
+        const kid = entry.slice(0, separator).trim();
+        const secret = entry.slice(separator + 1).trim();
+        if (!secret || !/^[A-Za-z0-9_-]+$/.test(kid)) return null;
+        return {kid, secret};
+    }).filter(Boolean);
+}
+
+/**
+ * @typedef {object} CookieSignerConfig
+ * @property {{kid: string, secret: string}[]} [keys=[]] - Signing keys, active key first.
+ * An empty list disables signing and every value is passed through as valid.
+ * @property {Date | null} [legacyAcceptUntil=null] - Unsigned values are accepted until
+ * this moment. `null` rejects unsigned values whenever signing is enabled.
+ */
+
+/**
+ * @typedef {object} VerifiedValue
+ * @property {string | null} value - The original, unsigned value, or null if rejected.
+ * @property {SIGNATURE_STATUS} status - The verification outcome.
+ */
+
+/**
+ * Factory that creates a cookie signer.
+ * @param {CookieSignerConfig} [config={}] - Configuration for the signer.
+ * @returns {{
+ * enabled: boolean,
+ * sign: (name: string, value: string) => Promise<string>,
+ * verify: (name: string, signedValue: string | null) => Promise<VerifiedValue>,
+ * }} A signer instance.
+ */
+export const cookieSigner = (config = {}) => {
+    const finalConfig = {
+        keys: [],
+        legacyAcceptUntil: null,
+        ...config,
+    };
+    const enabled = finalConfig.keys.length > 0;
+
+    /**
+     * The cookie name is bound into the MAC so that a signed value for one
+     * identifier cannot be replayed as another (e.g. an sID presented as a cID).
+     * @private
+     */
+    const computeSignature = async (secret, kid, name, value) => {
+        const key = await importKey(secret);
+        const mac = await crypto.subtle.sign('HMAC', key, encoder.encode(`${kid}|${name}|${value}`));
+        return toBase64Url(mac);
+    };
+
+    const sign = async (name, value) => {
+        if (!enabled || value === null || value === undefined) return value;
+        const {kid, secret} = finalConfig.keys[0];
+        const signature = await computeSignature(secret, kid, name, value);
+        return `${value}.${kid}.${signature}`;
+    };
+
+    const verify = async (name, signedValue) => {
+        if (!signedValue) return {value: null, status: SIGNATURE_STATUS.MISSING};
+        if (!enabled) return {value: signedValue, status: SIGNATURE_STATUS.VALID};
+
+        const sigSeparator = signedValue.lastIndexOf('.');
+        const kidSeparator = sigSeparator > 0 ? signedValue.lastIndexOf('.', sigSeparator - 1) : -1;
+
+        if (kidSeparator <= 0) {
+            const legacyAllowed = finalConfig.legacyAcceptUntil !== null &&
+                Date.now() < finalConfig.legacyAcceptUntil.getTime();
+            return legacyAllowed
+                ? {value: signedValue, status: SIGNATURE_STATUS.LEGACY}
+                : {value: null, status: SIGNATURE_STATUS.INVALID};
+        }
+
+        const value = signedValue.slice(0, kidSeparator);
+        const kid = signedValue.slice(kidSeparator + 1, sigSeparator);
+        const signature = signedValue.slice(sigSeparator + 1);
+        const keyIndex = finalConfig.keys.findIndex(key => key.kid === kid);
+        if (keyIndex === -1) return {value: null, status: SIGNATURE_STATUS.INVALID};
+
+        const expected = await computeSignature(finalConfig.keys[keyIndex].secret, kid, name, value);
+        if (!timingSafeEqual(expected, signature)) return {value: null, status: SIGNATURE_STATUS.INVALID};
+
+        return {value, status: keyIndex === 0 ? SIGNATURE_STATUS.VALID : SIGNATURE_STATUS.ROTATED};
+    };
+
+    return {enabled, sign, verify};
+};
+
+/**
+ * Builds a cookie signer from the worker's environment.
+ * @param {object} env - The environment object (`COOKIE_SIGNING_KEYS`, `COOKIE_LEGACY_ACCEPT_UNTIL`).
+ * @returns {ReturnType<typeof cookieSigner>} A configured signer.
+ */
+export function signerFromEnv(env) {
+    const legacyUntil = env.COOKIE_LEGACY_ACCEPT_UNTIL ? new Date(env.COOKIE_LEGACY_ACCEPT_UNTIL) : null;
+    return cookieSigner({
+        keys: parseSigningKeys(env.COOKIE_SIGNING_KEYS),
+        legacyAcceptUntil: legacyUntil && !isNaN(legacyUntil.getTime()) ? legacyUntil : null,
+    });
+}
+
+/**
+ * Whether a verified value was accepted but should be re-issued in the current format.
+ * @param {SIGNATURE_STATUS} status - The verification status.
+ * @returns {boolean} True for rotated and legacy values.
+ */
+export function needsReissue(status) {
+    return status === SIGNATURE_STATUS.ROTATED || status === SIGNATURE_STATUS.LEGACY;
+}
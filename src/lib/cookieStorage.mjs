@@ -6,15 +6,73 @@
  * A server-side storage helper for session management in stateless environments
  * like Cloudflare Workers. It provides pure functions to parse incoming 'Cookie'
  * headers and generate outgoing 'Set-Cookie' headers.
+ *
+ * Identifiers are stored either as one cookie per identifier (the legacy
+ * layout) or packed into a single signed envelope cookie:
+ * `<base64url JSON {v, <key>: <value>, ...}>.<keyId>.<signature>`
  * =============================================================================
  */
 
+import {SIGNATURE_STATUS, signerFromEnv} from './cookieSigner.mjs';
+import {CID_COOKIE, EID_COOKIE, FPID_COOKIE, SID_COOKIE, UID_COOKIE} from './constants.mjs';
+
+/**
+ * The accepted `SameSite` values.
+ * @type {string[]}
+ */
+const SAME_SITE_VALUES = ['Strict', 'Lax', 'None'];
+
+/**
+ * The accepted cookie name prefixes. `__Host-` cookies are host-only (no
+ * `Domain`) and always have `Path=/`; both require `Secure`.
+ * @type {string[]}
+ */
+const NAME_PREFIXES = ['__Host-', '__Secure-'];
+
+/**
+ * The version marker of the envelope layout, stored as `v`.
+ * @type {number}
+ */
+const ENVELOPE_VERSION = 1;
+
+/** @private */
+const toBase64Url = (text) => btoa(String.fromCharCode(...new TextEncoder().encode(text)))
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+/** @private */
+const fromBase64Url = (encoded) => new TextDecoder().decode(
+    Uint8Array.from(atob(encoded.replace(/-/g, '+').replace(/_/g, '/')), char => char.charCodeAt(0))
+);
+
+/**
+ * Which copies of a cookie are written.
+ * @readonly
+ * @enum {string}
+ */
+export const COOKIE_MODE = {
+    /** Only the HttpOnly server copy. */
+    SERVER: 'server',
+    /** Only the JS-readable client copy. */
+    CLIENT: 'client',
+    /** Both copies; reads prefer the server copy. */
+    BOTH: 'both',
+};
+
 /**
  * @typedef {object} CookieStorageConfig
  * @property {string} [appPrefix=''] - An optional, application-specific prefix.
  * @property {string} [serverPrefix='_ss_'] - Prefix for HttpOnly server-side cookies.
  * @property {string} [clientPrefix='_cs_'] - Prefix for client-accessible cookies.
- * @property {object} [cookieOptions] - Default options for setting cookies.
+ * @property {string} [namePrefix=''] - A browser-enforced name prefix, `__Host-` or `__Secure-`.
+ * @property {object} [cookieOptions] - Default options for setting cookies
+ * (`path`, `domain`, `secure`, `sameSite`, `partitioned`, `maxAge`, `expires`).
+ * @property {Object<string, object>} [perCookieOptions={}] - Option overrides by cookie key, e.g. `{csrf: {sameSite: 'Lax'}}`.
+ * @property {COOKIE_MODE} [defaultMode='both'] - Which copies are written for keys without a mode.
+ * @property {Object<string, COOKIE_MODE>} [modes={}] - Modes by cookie key, e.g. `{cID: 'server'}`.
+ * @property {{name: string, keys: string[]} | null} [envelope=null] - Packs the listed keys into one
+ * envelope cookie with this name. The envelope is written server-only unless `modes` says otherwise.
+ * @property {ReturnType<import('./cookieSigner.mjs').cookieSigner>} [signer] - An optional
+ * signer used by `getVerified` and `setSigned` to make values tamper-evident.
  */
 
 /**
@@ -23,6 +81,13 @@
  * @returns {{
  * get: (key: string, cookieHeader?: string | null) => string | null,
  * set: (key: string, value: string, options?: object) => string[],
+ * getVerified: (key: string, cookieHeader?: string | null) => Promise<import('./cookieSigner.mjs').VerifiedValue>,
+ * setSigned: (key: string, value: string, options?: object) => Promise<string[]>,
+ * getEnvelope: (cookieHeader?: string | null) => Promise<{values: object, status: string} | null>,
+ * setEnvelope: (values: object, options?: object) => Promise<string[]>,
+ * clearLegacy: (cookieHeader?: string | null) => string[],
+ * clientName: (key: string) => string | null,
+ * envelopeName: string | null,
  * }} A storage handler object.
  */
 export const cookieStorage = (config = {}) => {
@@ -30,25 +95,55 @@ export const cookieStorage = (config = {}) => {
         appPrefix: '',
         serverPrefix: '_ss_',
         clientPrefix: '_cs_',
+        namePrefix: '',
         cookieOptions: {
             path: '/',
             secure: true,
             sameSite: 'Strict',
+            partitioned: false,
         },
+        perCookieOptions: {},
+        defaultMode: COOKIE_MODE.BOTH,
+        modes: {},
+        envelope: null,
+        signer: null,
         ...config,
     };
 
     /** @private */
     const getFullName = (prefix, key) => {
         const parts = [];
+        if (finalConfig.namePrefix) parts.push(finalConfig.namePrefix);
         if (finalConfig.appPrefix) parts.push(finalConfig.appPrefix);
         parts.push(prefix);
         parts.push(key);
         return parts.join('');
     };
 
-    const get = (key, cookieHeader = '') => {
+    /** @private */
+    const envelopeName = finalConfig.envelope?.name || null;
+
+    /** @private */
+    const isEnvelopeKey = (key) => envelopeName !== null && finalConfig.envelope.keys.includes(key);
+
+    /** @private */
+    const getMode = (key) => finalConfig.modes[key]
+        || (key === envelopeName ? COOKIE_MODE.SERVER : finalConfig.defaultMode);
+
+    /** @private */
+    const decodeEnvelope = (value) => {
+        try {
+            const payload = JSON.parse(fromBase64Url(value.split('.')[0]));
+            return payload?.v === ENVELOPE_VERSION ? payload : null;
+        } catch {
+            return null;
+        }
+    };
+
+    /** @private */
+    const readCookie = (key, cookieHeader) => {
         if (!cookieHeader) return null;
+        const mode = getMode(key);
         const serverKey = getFullName(finalConfig.serverPrefix, key);
         const clientKey = getFullName(finalConfig.clientPrefix, key);
         const cookies = cookieHeader.split(';').reduce((acc, cookie) => {
@@ -56,33 +151,197 @@ export const cookieStorage = (config = {}) => {
             if (parts.length >= 2) acc[parts[0]] = parts.slice(1).join('=');
             return acc;
         }, {});
-        const serverValue = cookies[serverKey] ? decodeURIComponent(cookies[serverKey]) : null;
+        const serverValue = mode !== COOKIE_MODE.CLIENT && cookies[serverKey] ? decodeURIComponent(cookies[serverKey]) : null;
         if (serverValue) return serverValue;
-        return cookies[clientKey] ? decodeURIComponent(cookies[clientKey]) : null;
+        return mode !== COOKIE_MODE.SERVER && cookies[clientKey] ? decodeURIComponent(cookies[clientKey]) : null;
+    };
+
+    /**
+     * Reads a cookie without verifying it. Keys packed into the envelope are
+     * read from it, or from their own cookies while no envelope has been issued.
+     */
+    const get = (key, cookieHeader = '') => {
+        const envelope = isEnvelopeKey(key) ? readCookie(envelopeName, cookieHeader) : null;
+        if (envelope !== null) return decodeEnvelope(envelope)?.[key] ?? null;
+        return readCookie(key, cookieHeader);
     };
 
     const set = (key, value, options = {}) => {
+        const mode = getMode(key);
         const serverKey = getFullName(finalConfig.serverPrefix, key);
         const clientKey = getFullName(finalConfig.clientPrefix, key);
-        const mergedOptions = {...finalConfig.cookieOptions, ...options};
+        const mergedOptions = {...finalConfig.cookieOptions, ...finalConfig.perCookieOptions[key], ...options};
+        if (finalConfig.namePrefix === '__Host-') {
+            mergedOptions.path = '/';
+            mergedOptions.domain = undefined;
+        }
+        // SameSite=None, Partitioned and the name prefixes are all rejected by browsers without Secure.
+        if (finalConfig.namePrefix || mergedOptions.partitioned || mergedOptions.sameSite === 'None') {
+            mergedOptions.secure = true;
+        }
 
         const buildCookieString = (name, val, opts) => {
-            if (val === null || val === undefined) return `${name}=; Path=${opts.path}; Expires=Thu, 01 Jan 1970 00:00:00 GMT`;
-            let str = `${name}=${encodeURIComponent(val)}`;
+            // A cookie is only deleted when the attributes it was set with match, so clearing repeats them.
+            const isClear = val === null || val === undefined;
+            let str = `${name}=${isClear ? '' : encodeURIComponent(val)}`;
             if (opts.path) str += `; Path=${opts.path}`;
-            if (opts.expires) str += `; Expires=${opts.expires.toUTCString()}`;
+            if (isClear) {
+                str += '; Max-Age=0; Expires=Thu, 01 Jan 1970 00:00:00 GMT';
+            } else if (opts.maxAge !== undefined && opts.maxAge !== null) {
+                str += `; Max-Age=${opts.maxAge}; Expires=${new Date(Date.now() + opts.maxAge * 1000).toUTCString()}`;
+            } else if (opts.expires) {
+                str += `; Expires=${opts.expires.toUTCString()}`;
+            }
             if (opts.domain) str += `; Domain=${opts.domain}`;
             if (opts.secure) str += `; Secure`;
             if (opts.httpOnly) str += `; HttpOnly`;
             if (opts.sameSite) str += `; SameSite=${opts.sameSite}`;
+            if (opts.partitioned) str += `; Partitioned`;
             return str;
         };
 
-        return [
-            buildCookieString(serverKey, value, {...mergedOptions, httpOnly: true}),
-            buildCookieString(clientKey, value, {...mergedOptions, httpOnly: false}),
-        ];
+        // Clearing removes both copies, so switching a key's mode leaves no stale copy behind.
+        const isClear = value === null || value === undefined;
+        const headers = [];
+        if (isClear || mode !== COOKIE_MODE.CLIENT) {
+            headers.push(buildCookieString(serverKey, value, {...mergedOptions, httpOnly: true}));
+        }
+        if (isClear || mode !== COOKIE_MODE.SERVER) {
+            headers.push(buildCookieString(clientKey, value, {...mergedOptions, httpOnly: false}));
+        }
+        return headers;
     };
 
-    return {get, set};
-};
\ No newline at end of file
+    /**
+     * Reads a cookie and verifies its signature. Values that fail verification
+     * are returned as `null` so callers can never act on a forged identifier.
+     */
+    const getVerified = async (key, cookieHeader = '') => {
+        const envelope = isEnvelopeKey(key) ? await getEnvelope(cookieHeader) : null;
+        if (envelope !== null) {
+            const value = envelope.values[key] ?? null;
+            if (value !== null) return {value, status: envelope.status};
+            return {value, status: envelope.status === SIGNATURE_STATUS.INVALID ? SIGNATURE_STATUS.INVALID : SIGNATURE_STATUS.MISSING};
+        }
+        const rawValue = readCookie(key, cookieHeader);
+        if (!finalConfig.signer) {
+            return {value: rawValue, status: rawValue ? SIGNATURE_STATUS.VALID : SIGNATURE_STATUS.MISSING};
+        }
+        return finalConfig.signer.verify(key, rawValue);
+    };
+
+    /**
+     * Signs a value with the active key (when a signer is configured) and
+     * generates its `Set-Cookie` headers.
+     */
+    const setSigned = async (key, value, options = {}) => {
+        const signedValue = finalConfig.signer ? await finalConfig.signer.sign(key, value) : value;
+        return set(key, signedValue, options);
+    };
+
+    /**
+     * Reads and verifies the envelope cookie. A forged or unreadable envelope
+     * has no values and the `invalid` status.
+     */
+    const getEnvelope = async (cookieHeader = '') => {
+        const rawValue = envelopeName ? readCookie(envelopeName, cookieHeader) : null;
+        if (rawValue === null) return null;
+        const {value, status} = finalConfig.signer
+            ? await finalConfig.signer.verify(envelopeName, rawValue)
+            : {value: rawValue, status: SIGNATURE_STATUS.VALID};
+        const payload = value ? decodeEnvelope(value) : null;
+        if (!payload) return {values: {}, status: SIGNATURE_STATUS.INVALID};
+        const {v, ...values} = payload;
+        return {values, status};
+    };
+
+    /**
+     * Packs values into the envelope cookie and generates its `Set-Cookie`
+     * headers. Null values are left out.
+     */
+    const setEnvelope = async (values, options = {}) => {
+        const payload = {v: ENVELOPE_VERSION};
+        for (const [key, value] of Object.entries(values)) {
+            if (value !== null && value !== undefined) payload[key] = value;
+        }
+        return setSigned(envelopeName, toBase64Url(JSON.stringify(payload)), options);
+    };
+
+    /**
+     * Generates headers that expire the legacy per-key cookies of the
+     * envelope's keys still present in a request.
+     */
+    const clearLegacy = (cookieHeader = '') => {
+        if (!envelopeName) return [];
+        return finalConfig.envelope.keys
+            .filter(key => readCookie(key, cookieHeader) !== null)
+            .flatMap(key => set(key, null));
+    };
+
+    /**
+     * The full name of a key's JS-readable copy, for client-side readers.
+     * Null when the key's mode writes no client copy.
+     */
+    const clientName = (key) => getMode(key) === COOKIE_MODE.SERVER ? null : getFullName(finalConfig.clientPrefix, key);
+
+    return {get, set, getVerified, setSigned, getEnvelope, setEnvelope, clearLegacy, clientName, envelopeName};
+};
+
+/**
+ * Parses a `key:value` list such as `"csrf:Lax,fpID:None"`, keeping the
+ * entries whose value is one of `allowed` (matched case-insensitively).
+ * @private
+ */
+const parseCookieMap = (value, allowed) => {
+    const map = {};
+    if (!value) return map;
+    for (const entry of String(value).split(',')) {
+        const [key, raw = ''] = entry.split(':').map(part => part.trim());
+        const match = allowed.find(candidate => candidate.toLowerCase() === raw.toLowerCase());
+        if (key && match) map[key] = match;
+    }
+    return map;
+};
+
+/**
+ * Builds a cookie storage handler from the worker's environment.
+ * @param {object} env - The environment object (`COOKIE_APP_PREFIX`, `SERVER_COOKIE_PREFIX`,
+ * `CLIENT_COOKIE_PREFIX`, `COOKIE_NAME_PREFIX`, `COOKIE_DOMAIN`, `COOKIE_SAMESITE`, `COOKIE_SAMESITE_OVERRIDES`,
+ * `COOKIE_PARTITIONED`, `COOKIE_DEFAULT_MODE`, `COOKIE_MODES`, `COOKIE_FORMAT`, `ENVELOPE_COOKIE_NAME`).
+ * @param {ReturnType<import('./cookieSigner.mjs').cookieSigner>} [signer] - The signer (default: `signerFromEnv(env)`).
+ * @returns {ReturnType<typeof cookieStorage>} A configured storage handler.
+ */
+export function cookieStorageFromEnv(env, signer = signerFromEnv(env)) {
+    const sameSite = SAME_SITE_VALUES.find(value => value.toLowerCase() === String(env.COOKIE_SAMESITE).toLowerCase());
+    const cookieModes = Object.values(COOKIE_MODE);
+    const perCookieOptions = Object.fromEntries(Object.entries(parseCookieMap(env.COOKIE_SAMESITE_OVERRIDES, SAME_SITE_VALUES))
+        .map(([key, value]) => [key, {sameSite: value}]));
+    return cookieStorage({
+        appPrefix: env.COOKIE_APP_PREFIX,
+        serverPrefix: env.SERVER_COOKIE_PREFIX,
+        clientPrefix: env.CLIENT_COOKIE_PREFIX,
+        namePrefix: NAME_PREFIXES.find(prefix => prefix === env.COOKIE_NAME_PREFIX) || '',
+        cookieOptions: {
+            path: '/',
+            // On every cookie, clears included, so a clear matches the cookie it replaces.
+            domain: env.COOKIE_DOMAIN || undefined,
+            secure: true,
+            sameSite: sameSite || 'Strict',
+            partitioned: String(env.COOKIE_PARTITIONED) === 'true',
+        },
+        perCookieOptions,
+        defaultMode: cookieModes.find(mode => mode === env.COOKIE_DEFAULT_MODE) || COOKIE_MODE.BOTH,
+        modes: parseCookieMap(env.COOKIE_MODES, cookieModes),
+        envelope: env.COOKIE_FORMAT === 'envelope' ? {
+            name: env.ENVELOPE_COOKIE_NAME || 'session',
+            keys: [
+                env.CID_COOKIE_NAME || CID_COOKIE,
+                env.SID_COOKIE_NAME || SID_COOKIE,
+                env.EID_COOKIE_NAME || EID_COOKIE,
+                env.UID_COOKIE_NAME || UID_COOKIE,
+                env.FPID_COOKIE_NAME || FPID_COOKIE,
+            ],
+        } : null,
+        signer,
+    });
+}
@@ -0,0 +1,103 @@
+/*
+ * =============================================================================
+ * FILE: src/lib/csrf.mjs
+ *
+ * DESCRIPTION:
+ * Helpers for synchronizer-token CSRF protection. Each session owns a random
+ * token stored alongside it in the `SessionDO`, so a new session (a new sID)
+ * always gets a new token. Unsafe requests must echo the token back in a
+ * header or form field. The `SessionDO` signs tokens with the cookie signing
+ * keys, so a token read back from a cookie can be trusted when the session is
+ * rehydrated into a Durable Object that never stored it.
+ * =============================================================================
+ */
+
+import {timingSafeEqual} from './cookieSigner.mjs';
+
+/**
+ * The default names used to carry the token.
+ * @type {{HEADER: string, FIELD: string}}
+ */
+export const CSRF_DEFAULTS = {
+    HEADER: 'X-CSRF-Token',
+    FIELD: '_csrf',
+};
+
+/**
+ * HTTP methods that must not change state and therefore need no token.
+ * @type {Set<string>}
+ */
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'TRACE']);
+
+/** @private */
+const FORM_CONTENT_TYPE = /^(application\/x-www-form-urlencoded|multipart\/form-data)/i;
+
+/**
+ * The possible outcomes of a CSRF check.
+ * @readonly
+ * @enum {string}
+ */
+export const CSRF_RESULT = {
+    /** The method is safe; no token was required. */
+    SAFE_METHOD: 'safe_method',
+    /** The submitted token matches the session's token. */
+    VALID: 'valid',
+    /** The request carried no token. */
+    MISSING_TOKEN: 'missing_token',
+    /** The request carried no valid session cookies. */
+    NO_SESSION: 'no_session',
+    /** The token does not belong to the session, or the session is no longer current. */
+    MISMATCH: 'mismatch',
+};
+
+/**
+ * Generates a new random token (256 bits, base64url).
+ * @returns {string} The token.
+ */
+export function generateCsrfToken() {
+    const bytes = crypto.getRandomValues(new Uint8Array(32));
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * @param {string} method - An HTTP method.
+ * @returns {boolean} True if the method needs no CSRF token.
+ */
+export function isSafeMethod(method) {
+    return SAFE_METHODS.has(String(method).toUpperCase());
+}
+
+/**
+ * Reads the submitted token from the request header, falling back to the form
+ * field of URL-encoded and multipart bodies. The request body is not consumed.
+ *
+ * @param {Request} request - The incoming request.
+ * @param {{headerName?: string, fieldName?: string}} [options={}]
+ * @returns {Promise<string | null>} The submitted token.
+ */
+export async function extractCsrfToken(request, options = {}) {
+    const {headerName = CSRF_DEFAULTS.HEADER, fieldName = CSRF_DEFAULTS.FIELD} = options;
+    const headerToken = request.headers.get(headerName);
+    if (headerToken) return headerToken;
+
+    if (!FORM_CONTENT_TYPE.test(request.headers.get('Content-Type') || '')) return null;
+    try {
+        const form = await request.clone().formData();
+        const fieldToken = form.get(fieldName);
+        return typeof fieldToken === 'string' && fieldToken ? fieldToken : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Compares a submitted token against the session's token.
+ * @param {string | null} expected - The token stored for the session.
+ * @param {string | null} submitted - The token from the request.
+ * @returns {boolean} True if both are present and equal.
+ */
+export function csrfTokensMatch(expected, submitted) {
+    return Boolean(expected && submitted) && timingSafeEqual(expected, submitted);
+}
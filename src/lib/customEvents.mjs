@@ -0,0 +1,77 @@
+/*
+ * =============================================================================
+ * FILE: src/lib/customEvents.mjs
+ *
+ * DESCRIPTION:
+ * Validation for application-defined events (clicks, form submits,
+ * purchases, ...) recorded with `trackEvent` or posted to `/collect`. Custom
+ * events are kept in the client's event history and written to the
+ * `STATS_CUSTOM` Analytics Engine dataset.
+ * =============================================================================
+ */
+
+/**
+ * The size limits of a custom event.
+ * @readonly
+ * @enum {number}
+ */
+export const CUSTOM_EVENT_LIMITS = {
+    /** The maximum length of an event name. */
+    NAME_LENGTH: 100,
+    /** The maximum number of properties. */
+    PROPERTIES: 25,
+    /** The maximum length of a property name. */
+    PROPERTY_NAME_LENGTH: 64,
+    /** The maximum length of a string property value. */
+    PROPERTY_VALUE_LENGTH: 256,
+};
+
+/**
+ * @typedef {object} CustomEvent
+ * @property {string} name - What happened, e.g. `signup` or `add_to_cart`.
+ * @property {Object<string, string|number|boolean|null>} properties - Flat details of the event.
+ * @property {number | null} value - A numeric value to aggregate, e.g. a purchase amount.
+ */
+
+/** @private */
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validates a custom event and fills in its defaults.
+ * @param {object} event - `{name, properties?, value?}` from the caller.
+ * @returns {CustomEvent} The normalized event.
+ * @throws {Error} If the name, properties or value are invalid.
+ */
+export function normalizeCustomEvent(event) {
+    if (!isPlainObject(event)) {
+        throw new Error('A custom event must be an object with a name.');
+    }
+    const {name, properties = {}, value = null} = event;
+    if (typeof name !== 'string' || name.trim().length === 0 || name.length > CUSTOM_EVENT_LIMITS.NAME_LENGTH) {
+        throw new Error(`A custom event name must be a non-empty string of at most ${CUSTOM_EVENT_LIMITS.NAME_LENGTH} characters.`);
+    }
+    if (!isPlainObject(properties ?? {})) {
+        throw new Error(`Properties of custom event "${name}" must be an object.`);
+    }
+    const entries = Object.entries(properties ?? {});
+    if (entries.length > CUSTOM_EVENT_LIMITS.PROPERTIES) {
+        throw new Error(`Custom event "${name}" has ${entries.length} properties; the limit is ${CUSTOM_EVENT_LIMITS.PROPERTIES}.`);
+    }
+    for (const [key, property] of entries) {
+        if (key.length === 0 || key.length > CUSTOM_EVENT_LIMITS.PROPERTY_NAME_LENGTH) {
+            throw new Error(`Property names of custom event "${name}" must have 1 to ${CUSTOM_EVENT_LIMITS.PROPERTY_NAME_LENGTH} characters.`);
+        }
+        const isScalar = property === null || ['string', 'boolean'].includes(typeof property)
+            || (typeof property === 'number' && Number.isFinite(property));
+        if (!isScalar) {
+            throw new Error(`Property "${key}" of custom event "${name}" must be a string, finite number, boolean or null.`);
+        }
+        if (typeof property === 'string' && property.length > CUSTOM_EVENT_LIMITS.PROPERTY_VALUE_LENGTH) {
+            throw new Error(`Property "${key}" of custom event "${name}" exceeds ${CUSTOM_EVENT_LIMITS.PROPERTY_VALUE_LENGTH} characters.`);
+        }
+    }
+    if (value !== null && (typeof value !== 'number' || !Number.isFinite(value))) {
+        throw new Error(`The value of custom event "${name}" must be a finite number.`);
+    }
+    return {name, properties: Object.fromEntries(entries), value};
+}
@@ -32,6 +32,29 @@ function applySessionCookies(response, setCookieHeaders) {
     });
 }
 
+/**
+ * A helper function to apply the session's response headers (e.g. the
+ * cookieless session token) to a final Response object.
+ *
+ * @param {Response} response - The final Response object.
+ * @param {Object<string, string>} responseHeaders - The headers to set.
+ * @returns {Response} A new Response object with the headers set.
+ */
+function applySessionHeaders(response, responseHeaders) {
+    if (!responseHeaders || Object.keys(responseHeaders).length === 0) {
+        return response;
+    }
+    const newHeaders = new Headers(response.headers);
+    for (const [name, value] of Object.entries(responseHeaders)) {
+        newHeaders.set(name, value);
+    }
+    return new Response(response.body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: newHeaders
+    });
+}
+
 /**
  * Clones a Request object and attaches a comprehensive `session` property to it.
  *
@@ -50,6 +73,12 @@ export function enrichRequest(request, sessionData) {
          * @returns {Response} A new Response with the session cookies applied.
          */
         applySessionCookies: (response) => applySessionCookies(response, sessionData.setCookieHeaders),
+        /**
+         * A convenience method to apply this session's response headers to a Response.
+         * @param {Response} response - The final response from your application logic.
+         * @returns {Response} A new Response with the session headers applied.
+         */
+        applySessionHeaders: (response) => applySessionHeaders(response, sessionData.responseHeaders),
     };
 
     return clonedRequest;
@@ -0,0 +1,183 @@
+/*
+ * =============================================================================
+ * FILE: src/lib/eventHistory.mjs
+ *
+ * DESCRIPTION:
+ * A bounded, SQLite-backed log of the events (eIDs) a client has generated.
+ * It lives inside the client's Durable Object and lets support tooling
+ * reconstruct a user's journey without querying the Analytics Engine.
+ * =============================================================================
+ */
+
+/**
+ * The default and maximum page sizes for timeline queries.
+ * @type {{DEFAULT: number, MAX: number}}
+ */
+const PAGE_SIZE = {DEFAULT: 50, MAX: 500};
+
+/**
+ * What produced an event.
+ * @readonly
+ * @enum {string}
+ */
+export const EVENT_TYPE = {
+    /** A request processed by `processSession`. */
+    REQUEST: 'request',
+    /** A page load reported by the browser SDK. */
+    PAGEVIEW: 'pageview',
+    /** A single-page-app navigation reported by the browser SDK. */
+    ROUTE_CHANGE: 'route_change',
+    /** The page was hidden (tab switched, minimised or closed). */
+    PAGE_HIDDEN: 'page_hidden',
+    /** The page became visible again. */
+    PAGE_VISIBLE: 'page_visible',
+    /** An application-defined event from `trackEvent` or `/collect`. */
+    CUSTOM: 'custom',
+};
+
+/**
+ * @typedef {object} HistoryEvent
+ * @property {string} eID - The Event ID.
+ * @property {string} sID - The Session ID the event belongs to.
+ * @property {number} timestamp - When the event happened, in milliseconds.
+ * @property {string} path - The request path.
+ * @property {string} method - The HTTP method.
+ * @property {EVENT_TYPE} type - What produced the event.
+ * @property {string | null} name - Custom events only: the event name.
+ * @property {object | null} properties - Custom events only: the event's properties.
+ * @property {number | null} value - Custom events only: the event's numeric value.
+ * @property {string | null} colo - The Cloudflare colo that served the request.
+ * @property {string | null} fpID - The browser fingerprint at the time of the event.
+ * @property {number | null} latitude - The approximate latitude of the client (`request.cf.latitude`).
+ * @property {number | null} longitude - The approximate longitude of the client (`request.cf.longitude`).
+ * @property {number | null} asn - The client's autonomous system number (`request.cf.asn`).
+ * @property {string | null} uaFamily - The browser family from the User-Agent.
+ */
+
+/**
+ * @typedef {object} TimelineQuery
+ * @property {number} [since] - Only return events at or after this timestamp (ms).
+ * @property {string} [sID] - Only return events from this session.
+ * @property {number} [limit=50] - The page size (maximum 500).
+ * @property {string} [cursor] - The `nextCursor` from a previous page.
+ */
+
+/**
+ * @typedef {object} EventHistoryConfig
+ * @property {number} [maxEvents=1000] - The maximum number of events retained per client.
+ * @property {number} [retentionMs=0] - Events older than this are pruned. `0` disables time-based pruning.
+ */
+
+/**
+ * Factory that creates an event history on top of a Durable Object's `events`
+ * table (see `migrations.mjs`).
+ * @param {SqlStorage} sql - The `ctx.storage.sql` handle of the owning Durable Object.
+ * @param {EventHistoryConfig} [config={}] - Configuration for the history.
+ * @returns {object} An event history instance.
+ */
+export const eventHistory = (sql, config = {}) => {
+    const finalConfig = {
+        maxEvents: 1000,
+        retentionMs: 0,
+        ...config,
+    };
+
+    /**
+     * Removes events beyond the retention period and the row limit.
+     * @returns {void}
+     */
+    const prune = () => {
+        if (finalConfig.retentionMs > 0) {
+            sql.exec('DELETE FROM events WHERE ts < ?', Date.now() - finalConfig.retentionMs);
+        }
+        sql.exec(
+            'DELETE FROM events WHERE eid IN (SELECT eid FROM events ORDER BY eid DESC LIMIT -1 OFFSET ?)',
+            finalConfig.maxEvents
+        );
+    };
+
+    /**
+     * Appends an event and prunes the log.
+     * @param {HistoryEvent} event - The event to record.
+     * @returns {void}
+     */
+    const record = (event) => {
+        sql.exec(
+            `INSERT OR REPLACE INTO events (eid, sid, ts, path, method, type, name, properties, value,
+                                            colo, fp_id, latitude, longitude, asn, ua_family)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            event.eID, event.sID, event.timestamp, event.path, event.method, event.type || EVENT_TYPE.REQUEST,
+            event.name || null, event.properties ? JSON.stringify(event.properties) : null, event.value ?? null,
+            event.colo || null, event.fpID || null,
+            event.latitude ?? null, event.longitude ?? null, event.asn ?? null, event.uaFamily || null
+        );
+        prune();
+    };
+
+    /** @private */
+    const toEvent = (row) => ({
+        eID: row.eid,
+        sID: row.sid,
+        timestamp: row.ts,
+        path: row.path,
+        method: row.method,
+        type: row.type || EVENT_TYPE.REQUEST,
+        name: row.name ?? null,
+        properties: row.properties ? JSON.parse(row.properties) : null,
+        value: row.value ?? null,
+        colo: row.colo,
+        fpID: row.fp_id,
+        latitude: row.latitude,
+        longitude: row.longitude,
+        asn: row.asn,
+        uaFamily: row.ua_family,
+    });
+
+    /**
+     * Returns the most recent event.
+     * @returns {HistoryEvent | null} The event, or null if none is recorded.
+     */
+    const latest = () => {
+        const row = sql.exec('SELECT * FROM events ORDER BY eid DESC LIMIT 1').toArray()[0];
+        return row ? toEvent(row) : null;
+    };
+
+    /**
+     * Returns one page of events in chronological order. eIDs are pushIDs, so
+     * ordering by eID is chronological and makes a stable paging cursor.
+     * @param {TimelineQuery} [query={}]
+     * @returns {{events: HistoryEvent[], nextCursor: string | null}} The page and a cursor for the next one.
+     */
+    const query = (query = {}) => {
+        const limit = Math.min(Math.max(parseInt(query.limit, 10) || PAGE_SIZE.DEFAULT, 1), PAGE_SIZE.MAX);
+        const conditions = [];
+        const params = [];
+        if (query.since) {
+            conditions.push('ts >= ?');
+            params.push(Number(query.since));
+        }
+        if (query.sID) {
+            conditions.push('sid = ?');
+            params.push(query.sID);
+        }
+        if (query.cursor) {
+            conditions.push('eid > ?');
+            params.push(query.cursor);
+        }
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        // Fetch one extra row to know whether another page exists.
+        const rows = sql.exec(
+            `SELECT * FROM events ${where} ORDER BY eid ASC LIMIT ?`,
+            ...params, limit + 1
+        ).toArray();
+
+        const page = rows.slice(0, limit);
+        return {
+            events: page.map(toEvent),
+            nextCursor: rows.length > limit ? page[page.length - 1].eid : null,
+        };
+    };
+
+    return {record, query, latest, prune, config: finalConfig};
+};
@@ -5,44 +5,78 @@
  * DESCRIPTION:
  * Provides a graceful fallback mechanism for the session worker. If the
  * Durable Object fails, this module generates a default, "first visit" session
- * context to prevent the parent worker from crashing.
+ * context to prevent the parent worker from crashing. The same ephemeral
+ * context is used for confirmed bots when the worker is configured to skip them.
  * =============================================================================
  */
 
 import {pushID} from './pushID.js';
-import {createBrowserFingerprint, createStableDurableObjectKey} from './fingerprint.mjs';
+import {
+    getRawFingerprintData,
+    createFingerprint,
+    createStableDurableObjectKey,
+    getFingerprintStrategy,
+    FINGERPRINT_STRATEGIES,
+    DEFAULT_FINGERPRINT_STRATEGY
+} from './fingerprint.mjs';
 import {enrichRequest} from './enrichRequest.mjs';
 
 /**
- * Generates a realistic "first visit" fallback session context.
+ * Builds a one-off session context that is never persisted.
  *
  * @param {Request} request - The original incoming request object.
- * @param {object} env - The environment object to access config.
+ * @param {object} [overrides={}] - Fields to set on the context.
+ * @param {import('./fingerprint.mjs').FingerprintStrategy} [strategy] - The fingerprint strategy (default: strict).
  * @returns {Request} An enriched request object with a temporary session.
  */
-export function fallbackRequest(request, env) {
-    const fallbackId = pushID.newID();
-    const fallbackTime = new Date(pushID.decodeTime(fallbackId));
+export function ephemeralRequest(request, overrides = {}, strategy = FINGERPRINT_STRATEGIES[DEFAULT_FINGERPRINT_STRATEGY]) {
+    const ephemeralId = pushID.newID();
+    const ephemeralTime = new Date(pushID.decodeTime(ephemeralId));
 
-    const doName = createStableDurableObjectKey(request);
-    const fpID = createBrowserFingerprint(request);
+    const rawFingerprintData = getRawFingerprintData(request);
+    const doName = createStableDurableObjectKey(rawFingerprintData);
+    const {fpID, fpVersion} = createFingerprint(request, rawFingerprintData, strategy);
 
-    const fallbackContext = {
-        cID: fallbackId,
-        sID: fallbackId,
-        eID: fallbackId,
-        clientTime: fallbackTime,
-        sessionTime: fallbackTime,
-        eventTime: fallbackTime,
+    const context = {
+        cID: ephemeralId,
+        sID: ephemeralId,
+        eID: ephemeralId,
+        clientTime: ephemeralTime,
+        sessionTime: ephemeralTime,
+        eventTime: ephemeralTime,
         oldState: {},
         isNewClient: true,
         isNewSession: true,
         isNewDoID: true,
         isNewFpID: true,
+        isFallback: false,
+        isRevoked: false,
+        risk: {action: null, reasons: []},
+        csrfToken: null,
+        sessionEndReason: null,
+        userId: null,
+        linkedClients: [],
         doID: doName,
         fpID,
-        setCookieHeaders: [], // No cookies are set in fallback to avoid state conflicts
+        fpVersion,
+        fpSimilarity: null,
+        fpChangedComponents: [],
+        sessionToken: null,
+        responseHeaders: {},
+        setCookieHeaders: [], // No cookies are set for ephemeral sessions to avoid state conflicts
+        ...overrides,
     };
 
-    return enrichRequest(request, fallbackContext);
-}
\ No newline at end of file
+    return enrichRequest(request, context);
+}
+
+/**
+ * Generates a realistic "first visit" fallback session context.
+ *
+ * @param {Request} request - The original incoming request object.
+ * @param {object} env - The environment object to access config.
+ * @returns {Request} An enriched request object with a temporary session.
+ */
+export function fallbackRequest(request, env) {
+    return ephemeralRequest(request, {isFallback: true}, getFingerprintStrategy(env));
+}
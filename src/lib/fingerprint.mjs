@@ -4,7 +4,9 @@
  *
  * DESCRIPTION:
  * A utility module for creating high-entropy, stable browser fingerprints
- * from various request properties.
+ * from various request properties. The browser fingerprint (fpID) is produced
+ * by a versioned, configurable strategy; the Durable Object stable key always
+ * uses the same signals so that "Hybrid Naming" stays deterministic.
  * =============================================================================
  */
 
@@ -64,4 +66,222 @@ export function getLocationHint(cf) {
         return (cf.longitude && parseFloat(cf.longitude) < -98.5) ? 'wnam' : 'enam';
     }
     return undefined;
-}
\ No newline at end of file
+}
+
+/**
+ * Reduces an IP address to its network prefix: /24 for IPv4, /48 for IPv6.
+ * @param {string} ip - The IP address.
+ * @returns {string} The network prefix, or an empty string.
+ */
+export function getIpPrefix(ip) {
+    if (!ip) return '';
+    if (ip.includes(':')) {
+        return ip.split(':').slice(0, 3).join(':') + '::/48';
+    }
+    return ip.split('.').slice(0, 3).join('.') + '.0/24';
+}
+
+/**
+ * Extracts the browser family and major version from a user agent,
+ * e.g. `"Chrome/120"`, `"Firefox/128"` or `"Safari/17"`.
+ * @param {string} userAgent - The User-Agent header.
+ * @returns {{family: string, major: string}} The family and major version (`"other"`/`""` if unknown).
+ */
+export function getUserAgentFamily(userAgent) {
+    const ua = userAgent || '';
+    const patterns = [
+        ['Edge', /Edg(?:e|A|iOS)?\/(\d+)/],
+        ['Opera', /OPR\/(\d+)/],
+        ['Samsung', /SamsungBrowser\/(\d+)/],
+        ['Firefox', /(?:Firefox|FxiOS)\/(\d+)/],
+        ['Chrome', /(?:Chrome|CriOS)\/(\d+)/],
+        ['Safari', /Version\/(\d+).*Safari\//],
+    ];
+    for (const [family, pattern] of patterns) {
+        const match = pattern.exec(ua);
+        if (match) return {family, major: match[1]};
+    }
+    return {family: 'other', major: ''};
+}
+
+/**
+ * @typedef {object} FingerprintStrategy
+ * @property {string} name - The strategy name used in `FINGERPRINT_STRATEGY`.
+ * @property {number} version - Bumped whenever the signal set or its normalisation changes.
+ * @property {(request: Request, rawData: object) => object} collect - Gathers the signals to hash.
+ */
+
+/**
+ * The registry of fingerprint strategies.
+ * @type {Object<string, FingerprintStrategy>}
+ */
+export const FINGERPRINT_STRATEGIES = {
+    /** Every raw signal, including the IP and colo. Identical to the original fpID. */
+    strict: {
+        name: 'strict',
+        version: 1,
+        collect: (request, rawData) => rawData,
+    },
+    /** Survives data center changes and address changes within the same network. */
+    stable: {
+        name: 'stable',
+        version: 1,
+        collect: (request, rawData) => ({
+            ipPrefix: getIpPrefix(rawData.ip),
+            userAgent: rawData.userAgent,
+            acceptLang: rawData.acceptLang,
+            acceptEnc: rawData.acceptEnc,
+            tlsCipher: rawData.tlsCipher,
+            httpProtocol: rawData.httpProtocol,
+        }),
+    },
+    /** Only coarse, low-entropy signals; many users share each fpID. */
+    privacy: {
+        name: 'privacy',
+        version: 1,
+        collect: (request, rawData) => {
+            const {family, major} = getUserAgentFamily(rawData.userAgent);
+            return {
+                browser: `${family}/${major}`,
+                language: rawData.acceptLang.split(/[,;-]/)[0].trim().toLowerCase(),
+                country: request.cf?.country || '',
+            };
+        },
+    },
+    /** User-Agent Client Hints and TLS handshake signals, when available. */
+    'client-hints': {
+        name: 'client-hints',
+        version: 1,
+        collect: (request, rawData) => ({
+            secChUa: request.headers.get('sec-ch-ua') || '',
+            secChUaPlatform: request.headers.get('sec-ch-ua-platform') || '',
+            secChUaMobile: request.headers.get('sec-ch-ua-mobile') || '',
+            secChUaArch: request.headers.get('sec-ch-ua-arch') || '',
+            secChUaModel: request.headers.get('sec-ch-ua-model') || '',
+            secChUaBitness: request.headers.get('sec-ch-ua-bitness') || '',
+            acceptLang: rawData.acceptLang,
+            tlsCipher: rawData.tlsCipher,
+            tlsClientHelloLength: String(request.cf?.tlsClientHelloLength || ''),
+            ja3: request.cf?.botManagement?.ja3Hash || '',
+            ja4: request.cf?.botManagement?.ja4 || '',
+        }),
+    },
+};
+
+/**
+ * The strategy used when `FINGERPRINT_STRATEGY` is unset or unknown.
+ * @type {string}
+ */
+export const DEFAULT_FINGERPRINT_STRATEGY = 'strict';
+
+/**
+ * Returns the configured fingerprint strategy.
+ * @param {object} env - The environment object (`FINGERPRINT_STRATEGY`).
+ * @returns {FingerprintStrategy} The strategy.
+ */
+export function getFingerprintStrategy(env) {
+    return FINGERPRINT_STRATEGIES[env.FINGERPRINT_STRATEGY] || FINGERPRINT_STRATEGIES[DEFAULT_FINGERPRINT_STRATEGY];
+}
+
+/**
+ * Creates the browser fingerprint of a request with a strategy.
+ * @param {Request} request - The incoming request.
+ * @param {object} rawData - The raw data object from getRawFingerprintData.
+ * @param {FingerprintStrategy} strategy - The strategy to use.
+ * @returns {{fpID: string, fpVersion: string, signals: object}} The fingerprint, the
+ * scheme that produced it (e.g. `"stable.1"`), and the signals it was hashed from.
+ */
+export function createFingerprint(request, rawData, strategy) {
+    const signals = strategy.collect(request, rawData);
+    return {
+        fpID: createBrowserFingerprint(signals),
+        fpVersion: `${strategy.name}.${strategy.version}`,
+        signals,
+    };
+}
+
+/**
+ * Parses an fpID cookie value of the form `<fpVersion>:<fpID>`. Values written
+ * before fingerprints were versioned have no prefix and belong to `strict.1`.
+ * @param {string | null} value - The cookie value.
+ * @returns {{fpID: string, fpVersion: string} | null} The parsed value.
+ */
+export function parseFingerprintCookie(value) {
+    if (!value) return null;
+    const separator = value.lastIndexOf(':');
+    if (separator === -1) return {fpID: value, fpVersion: 'strict.1'};
+    return {fpID: value.slice(separator + 1), fpVersion: value.slice(0, separator)};
+}
+
+/**
+ * Serialises a fingerprint into its cookie value.
+ * @param {{fpID: string, fpVersion: string}} fingerprint - The fingerprint.
+ * @returns {string} The cookie value.
+ */
+export function formatFingerprintCookie({fpID, fpVersion}) {
+    return `${fpVersion}:${fpID}`;
+}
+
+/**
+ * The weight of each fingerprint component in the similarity score. Weights sum to 1.
+ * @type {Object<string, number>}
+ */
+export const FINGERPRINT_COMPONENT_WEIGHTS = {
+    browser: 0.25,
+    browserVersion: 0.1,
+    language: 0.2,
+    tls: 0.2,
+    network: 0.25,
+};
+
+/**
+ * Extracts the individual signals behind a fingerprint, normalised so that
+ * two requests can be compared component by component.
+ * @param {object} rawData - The raw data object from getRawFingerprintData.
+ * @returns {{browser: string, browserVersion: string, language: string, tls: string, network: string}} The components.
+ */
+export function getFingerprintComponents(rawData) {
+    const {family, major} = getUserAgentFamily(rawData.userAgent);
+    return {
+        browser: family,
+        browserVersion: major,
+        language: rawData.acceptLang.toLowerCase(),
+        tls: `${rawData.tlsCipher}|${rawData.httpProtocol}`,
+        network: getIpPrefix(rawData.ip),
+    };
+}
+
+/**
+ * Scores how alike two sets of fingerprint components are. Each component
+ * scores 1 when equal and 0 when different, except `language` (0.5 when only
+ * the primary language matches) and `tls` (0.5 when only the cipher or the
+ * protocol matches).
+ *
+ * @param {object} current - The components of the current request.
+ * @param {object} previous - The components of an earlier fingerprint.
+ * @returns {{similarity: number, changedComponents: string[]}} The weighted score (0-1) and the components that differ.
+ */
+export function compareFingerprintComponents(current, previous) {
+    const primaryLanguage = (value) => (value || '').split(/[,;-]/)[0].trim();
+    const scores = {};
+    for (const component of Object.keys(FINGERPRINT_COMPONENT_WEIGHTS)) {
+        scores[component] = current[component] === previous[component] ? 1 : 0;
+    }
+    if (!scores.language && primaryLanguage(current.language) === primaryLanguage(previous.language)) {
+        scores.language = 0.5;
+    }
+    if (!scores.tls) {
+        const [cipher, protocol] = current.tls.split('|');
+        const [previousCipher, previousProtocol] = (previous.tls || '').split('|');
+        scores.tls = ((cipher === previousCipher) + (protocol === previousProtocol)) / 2;
+    }
+
+    let similarity = 0;
+    for (const [component, weight] of Object.entries(FINGERPRINT_COMPONENT_WEIGHTS)) {
+        similarity += scores[component] * weight;
+    }
+    return {
+        similarity: Math.round(similarity * 100) / 100,
+        changedComponents: Object.keys(scores).filter(component => scores[component] < 1),
+    };
+}
@@ -0,0 +1,68 @@
+/*
+ * =============================================================================
+ * FILE: src/lib/fingerprintHistory.mjs
+ *
+ * DESCRIPTION:
+ * Keeps the component signals behind a client's most recent fingerprints in
+ * its Durable Object, so a changed fpID can be scored against what the client
+ * looked like before. A browser update changes one component; a cookie copied
+ * to another machine changes several.
+ * =============================================================================
+ */
+
+import {compareFingerprintComponents} from './fingerprint.mjs';
+
+/**
+ * @typedef {object} FingerprintMatch
+ * @property {number | null} similarity - The best similarity (0-1) to a stored fingerprint, or `null` if none is stored.
+ * @property {string[]} changedComponents - The components that differ from the best match.
+ */
+
+/**
+ * Factory that creates a fingerprint history on top of a Durable Object's
+ * `fingerprints` table (see `migrations.mjs`).
+ * @param {SqlStorage} sql - The `ctx.storage.sql` handle of the owning Durable Object.
+ * @param {{maxEntries?: number}} [config={}] - How many fingerprints to keep (default 5).
+ * @returns {object} A fingerprint history instance.
+ */
+export const fingerprintHistory = (sql, config = {}) => {
+    const finalConfig = {
+        maxEntries: 5,
+        ...config,
+    };
+
+    /**
+     * Scores components against every stored fingerprint and returns the closest.
+     * @param {object} components - The components from `getFingerprintComponents`.
+     * @returns {FingerprintMatch} The best match.
+     */
+    const match = (components) => {
+        let best = {similarity: null, changedComponents: []};
+        for (const row of sql.exec('SELECT components FROM fingerprints').toArray()) {
+            const candidate = compareFingerprintComponents(components, JSON.parse(row.components));
+            if (best.similarity === null || candidate.similarity > best.similarity) best = candidate;
+        }
+        return best;
+    };
+
+    /**
+     * Stores (or refreshes) a fingerprint and drops the least recently seen beyond the limit.
+     * @param {string} fpID - The fingerprint ID.
+     * @param {object} components - The components from `getFingerprintComponents`.
+     * @returns {void}
+     */
+    const record = (fpID, components) => {
+        const now = Date.now();
+        sql.exec(
+            `INSERT INTO fingerprints (fp_id, components, first_seen, last_seen) VALUES (?, ?, ?, ?)
+             ON CONFLICT (fp_id) DO UPDATE SET components = excluded.components, last_seen = excluded.last_seen`,
+            fpID, JSON.stringify(components), now, now
+        );
+        sql.exec(
+            'DELETE FROM fingerprints WHERE fp_id IN (SELECT fp_id FROM fingerprints ORDER BY last_seen DESC LIMIT -1 OFFSET ?)',
+            finalConfig.maxEntries
+        );
+    };
+
+    return {match, record, config: finalConfig};
+};
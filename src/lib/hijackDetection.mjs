@@ -0,0 +1,194 @@
+/*
+ * =============================================================================
+ * FILE: src/lib/hijackDetection.mjs
+ *
+ * DESCRIPTION:
+ * Anomaly rules that compare a request against the client's previous events
+ * to detect a stolen or copied cID cookie: impossible travel, a change of
+ * network (ASN) or browser family, and concurrent use from two data centers.
+ * Each rule is configured with the action the `SessionDO` takes when it fires.
+ *
+ * Rule format: `<rule>[:<action>]`, comma separated
+ * e.g. `"impossible_travel:revoke,asn_change,ua_family_change:new_session"`
+ * =============================================================================
+ */
+
+/**
+ * The anomaly rules.
+ * @readonly
+ * @enum {string}
+ */
+export const RISK_RULE = {
+    /** The distance from the previous event could not be covered in the time between them. */
+    IMPOSSIBLE_TRAVEL: 'impossible_travel',
+    /** The request comes from a different autonomous system than the previous event. */
+    ASN_CHANGE: 'asn_change',
+    /** The browser family (e.g. Chrome to Firefox) differs from the previous event. */
+    UA_FAMILY_CHANGE: 'ua_family_change',
+    /** Another data center served this client within the concurrency window. */
+    CONCURRENT_COLOS: 'concurrent_colos',
+};
+
+/**
+ * What happens when a rule fires, from least to most severe.
+ * @readonly
+ * @enum {string}
+ */
+export const RISK_ACTION = {
+    /** Only report the rule on `.session.risk`. */
+    FLAG: 'flag',
+    /** End the current session and issue a new sID. */
+    NEW_SESSION: 'new_session',
+    /** Revoke the current session, which also ends the user binding. */
+    REVOKE: 'revoke',
+};
+
+/** @private */
+const ACTION_SEVERITY = [RISK_ACTION.FLAG, RISK_ACTION.NEW_SESSION, RISK_ACTION.REVOKE];
+
+/**
+ * The mean radius of the Earth in kilometres.
+ * @type {number}
+ */
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Distances below this are treated as noise in IP geolocation.
+ * @type {number}
+ */
+const MIN_TRAVEL_KM = 100;
+
+/**
+ * @typedef {object} RiskSignals
+ * @property {number} timestamp - When the request happened, in milliseconds.
+ * @property {string | null} colo - The Cloudflare colo that served the request.
+ * @property {number | null} latitude - The approximate latitude of the client.
+ * @property {number | null} longitude - The approximate longitude of the client.
+ * @property {number | null} asn - The client's autonomous system number.
+ * @property {string | null} uaFamily - The browser family from the User-Agent.
+ */
+
+/**
+ * @typedef {object} RiskAssessment
+ * @property {RISK_ACTION | null} action - The most severe action of the rules that fired, or `null`.
+ * @property {{rule: RISK_RULE, action: RISK_ACTION, detail: string}[]} reasons - The rules that fired.
+ */
+
+/**
+ * @typedef {object} RiskConfig
+ * @property {Map<RISK_RULE, RISK_ACTION>} rules - The enabled rules and their actions.
+ * @property {number} maxSpeedKmh - The fastest plausible travel speed.
+ * @property {number} concurrentWindowMs - How recent an event from another colo must be to count as concurrent.
+ */
+
+/**
+ * Parses a rule list such as `"impossible_travel:revoke,asn_change"`. Rules
+ * without an action default to `flag`; unknown entries are skipped.
+ *
+ * @param {string | undefined} value - The raw rule list, typically `env.RISK_RULES`.
+ * @returns {Map<RISK_RULE, RISK_ACTION>} The enabled rules and their actions.
+ */
+export function parseRiskRules(value) {
+    const rules = new Map();
+    if (!value) return rules;
+    for (const entry of String(value).split(',')) {
+        const [rule, action = RISK_ACTION.FLAG] = entry.split(':').map(part => part.trim());
+        if (Object.values(RISK_RULE).includes(rule) && Object.values(RISK_ACTION).includes(action)) {
+            rules.set(rule, action);
+        }
+    }
+    return rules;
+}
+
+/**
+ * Reads the hijack detection configuration from the worker's environment.
+ * @param {object} env - The environment object.
+ * @returns {RiskConfig} The configuration. No rules are enabled unless `RISK_RULES` is set.
+ */
+export function riskConfigFromEnv(env) {
+    return {
+        rules: parseRiskRules(env.RISK_RULES),
+        maxSpeedKmh: parseInt(env.RISK_MAX_SPEED_KMH, 10) || 1000,
+        concurrentWindowMs: (parseInt(env.RISK_CONCURRENT_WINDOW_SECONDS, 10) || 60) * 1000,
+    };
+}
+
+/**
+ * Collects the signals the rules compare from a request.
+ * @param {Request} request - The incoming request.
+ * @param {string} uaFamily - The browser family from `getUserAgentFamily`.
+ * @param {number} timestamp - When the request happened, in milliseconds.
+ * @returns {RiskSignals} The signals.
+ */
+export function getRiskSignals(request, uaFamily, timestamp) {
+    const cf = request.cf || {};
+    const toNumber = (value) => value === undefined || value === null || value === '' || isNaN(value) ? null : Number(value);
+    return {
+        timestamp,
+        colo: cf.colo || null,
+        latitude: toNumber(cf.latitude),
+        longitude: toNumber(cf.longitude),
+        asn: toNumber(cf.asn),
+        uaFamily,
+    };
+}
+
+/**
+ * The great-circle distance between two points.
+ * @param {number} lat1 - The latitude of the first point.
+ * @param {number} lon1 - The longitude of the first point.
+ * @param {number} lat2 - The latitude of the second point.
+ * @param {number} lon2 - The longitude of the second point.
+ * @returns {number} The distance in kilometres.
+ */
+export function distanceKm(lat1, lon1, lat2, lon2) {
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+    const dLat = toRadians(lat2 - lat1);
+    const dLon = toRadians(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Evaluates the enabled rules.
+ *
+ * @param {RiskSignals} current - The signals of the incoming request.
+ * @param {RiskSignals | null} previous - The client's most recent event.
+ * @param {RiskSignals[]} recent - The client's events within the concurrency window.
+ * @param {RiskConfig} config - From `riskConfigFromEnv`.
+ * @returns {RiskAssessment} The outcome.
+ */
+export function evaluateRisk(current, previous, recent, config) {
+    const reasons = [];
+    const fire = (rule, detail) => {
+        if (config.rules.has(rule)) reasons.push({rule, action: config.rules.get(rule), detail});
+    };
+
+    if (previous) {
+        if (current.latitude !== null && current.longitude !== null && previous.latitude !== null && previous.longitude !== null) {
+            const km = distanceKm(previous.latitude, previous.longitude, current.latitude, current.longitude);
+            const hours = Math.max(current.timestamp - previous.timestamp, 1000) / (60 * 60 * 1000);
+            if (km >= MIN_TRAVEL_KM && km / hours > config.maxSpeedKmh) {
+                fire(RISK_RULE.IMPOSSIBLE_TRAVEL, `${Math.round(km)} km in ${Math.ceil(hours * 60)} min`);
+            }
+        }
+        if (current.asn !== null && previous.asn !== null && current.asn !== previous.asn) {
+            fire(RISK_RULE.ASN_CHANGE, `AS${previous.asn} to AS${current.asn}`);
+        }
+        if (current.uaFamily && previous.uaFamily && current.uaFamily !== previous.uaFamily) {
+            fire(RISK_RULE.UA_FAMILY_CHANGE, `${previous.uaFamily} to ${current.uaFamily}`);
+        }
+    }
+
+    const otherColos = new Set(recent
+        .filter(event => event.colo && current.colo && event.colo !== current.colo)
+        .filter(event => current.timestamp - event.timestamp <= config.concurrentWindowMs)
+        .map(event => event.colo));
+    if (otherColos.size > 0) {
+        fire(RISK_RULE.CONCURRENT_COLOS, `${current.colo} and ${[...otherColos].join(', ')}`);
+    }
+
+    const action = reasons.reduce((worst, reason) =>
+        ACTION_SEVERITY.indexOf(reason.action) > ACTION_SEVERITY.indexOf(worst) ? reason.action : worst, null);
+    return {action, reasons};
+}
@@ -0,0 +1,33 @@
+/*
+ * =============================================================================
+ * FILE: src/lib/httpResponses.mjs
+ *
+ * DESCRIPTION:
+ * JSON response helpers shared by the HTTP endpoints of the worker's `fetch`
+ * handler, so every endpoint reports errors in the same shape:
+ * `{"error": {"code": "...", "message": "..."}}`
+ * =============================================================================
+ */
+
+/**
+ * Creates an uncacheable JSON response.
+ * @param {*} body - The JSON-serializable body.
+ * @param {number} [status=200] - The HTTP status.
+ * @param {object} [headers={}] - Extra headers.
+ * @returns {Response} The response.
+ */
+export const jsonResponse = (body, status = 200, headers = {}) => new Response(JSON.stringify(body), {
+    status,
+    headers: {'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...headers},
+});
+
+/**
+ * Creates a JSON error response.
+ * @param {number} status - The HTTP status.
+ * @param {string} code - A machine-readable error code.
+ * @param {string} message - A human-readable message.
+ * @param {object} [headers={}] - Extra headers.
+ * @returns {Response} The response.
+ */
+export const errorResponse = (status, code, message, headers = {}) =>
+    jsonResponse({error: {code, message}}, status, headers);
@@ -0,0 +1,235 @@
+/*
+ * =============================================================================
+ * FILE: src/lib/migrations.mjs
+ *
+ * DESCRIPTION:
+ * The versioned SQLite schema of the `SessionDO` and a small migration runner.
+ * Migrations are applied in order, each inside its own transaction, and the
+ * applied versions are recorded in the `schema_migrations` table. New schema
+ * changes must be appended as a new version; applied migrations never change.
+ * =============================================================================
+ */
+
+/**
+ * @typedef {object} Migration
+ * @property {number} version - A strictly increasing version number.
+ * @property {string} name - A short, human-readable description.
+ * @property {string[]} statements - The SQL statements to execute.
+ */
+
+/**
+ * The ordered list of schema migrations.
+ * @type {Migration[]}
+ */
+export const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'initial-session-schema',
+        statements: [
+            `CREATE TABLE IF NOT EXISTS clients (
+                cid TEXT PRIMARY KEY,
+                current_sid TEXT,
+                last_eid TEXT,
+                user_id TEXT,
+                campaign TEXT,
+                revoked_before INTEGER,
+                created_at INTEGER NOT NULL,
+                last_seen_at INTEGER NOT NULL
+            )`,
+            `CREATE TABLE IF NOT EXISTS sessions (
+                sid TEXT PRIMARY KEY,
+                cid TEXT,
+                started_at INTEGER NOT NULL,
+                last_activity_at INTEGER NOT NULL,
+                event_count INTEGER NOT NULL DEFAULT 0,
+                campaign TEXT,
+                ended_at INTEGER,
+                end_reason TEXT,
+                revoked_at INTEGER
+            )`,
+            'CREATE INDEX IF NOT EXISTS sessions_cid_started ON sessions (cid, started_at)',
+            // The events table predates the migration runner, hence IF NOT EXISTS.
+            `CREATE TABLE IF NOT EXISTS events (
+                eid TEXT PRIMARY KEY,
+                sid TEXT NOT NULL,
+                ts INTEGER NOT NULL,
+                path TEXT,
+                method TEXT,
+                colo TEXT,
+                fp_id TEXT
+            )`,
+            'CREATE INDEX IF NOT EXISTS events_sid_ts ON events (sid, ts)',
+            `CREATE TABLE IF NOT EXISTS attributes (
+                scope TEXT NOT NULL,
+                key TEXT NOT NULL,
+                value TEXT NOT NULL,
+                sid TEXT,
+                expires_at INTEGER,
+                updated_at INTEGER NOT NULL,
+                PRIMARY KEY (scope, key)
+            )`,
+        ],
+    },
+    {
+        version: 2,
+        name: 'rate-limits',
+        statements: [
+            `CREATE TABLE rate_limits (
+                policy TEXT NOT NULL,
+                key TEXT NOT NULL,
+                tokens REAL NOT NULL DEFAULT 0,
+                window_start INTEGER NOT NULL,
+                window_count INTEGER NOT NULL DEFAULT 0,
+                previous_count INTEGER NOT NULL DEFAULT 0,
+                expires_at INTEGER NOT NULL,
+                PRIMARY KEY (policy, key)
+            )`,
+        ],
+    },
+    {
+        version: 3,
+        name: 'session-csrf-tokens',
+        statements: [
+            'ALTER TABLE sessions ADD COLUMN csrf_token TEXT',
+        ],
+    },
+    {
+        version: 4,
+        name: 'consent-log',
+        statements: [
+            `CREATE TABLE consent_log (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                sid TEXT,
+                categories TEXT NOT NULL,
+                version TEXT,
+                source TEXT NOT NULL,
+                recorded_at INTEGER NOT NULL
+            )`,
+        ],
+    },
+    {
+        version: 5,
+        name: 'client-bootstrap-key',
+        statements: [
+            'ALTER TABLE clients ADD COLUMN bootstrap_key TEXT',
+        ],
+    },
+    {
+        version: 6,
+        name: 'fingerprint-history',
+        statements: [
+            `CREATE TABLE fingerprints (
+                fp_id TEXT PRIMARY KEY,
+                components TEXT NOT NULL,
+                first_seen INTEGER NOT NULL,
+                last_seen INTEGER NOT NULL
+            )`,
+        ],
+    },
+    {
+        version: 7,
+        name: 'event-risk-signals',
+        statements: [
+            'ALTER TABLE events ADD COLUMN latitude REAL',
+            'ALTER TABLE events ADD COLUMN longitude REAL',
+            'ALTER TABLE events ADD COLUMN asn INTEGER',
+            'ALTER TABLE events ADD COLUMN ua_family TEXT',
+        ],
+    },
+    {
+        version: 8,
+        name: 'bootstrap-handoffs',
+        statements: [
+            `CREATE TABLE handoffs (
+                cid TEXT PRIMARY KEY,
+                handed_off_at INTEGER NOT NULL
+            )`,
+        ],
+    },
+    {
+        version: 9,
+        name: 'client-tenant',
+        statements: [
+            'ALTER TABLE clients ADD COLUMN tenant TEXT',
+        ],
+    },
+    {
+        version: 10,
+        name: 'client-fingerprint-cookie',
+        statements: [
+            'ALTER TABLE clients ADD COLUMN fingerprint TEXT',
+        ],
+    },
+    {
+        version: 11,
+        name: 'event-types',
+        statements: [
+            'ALTER TABLE events ADD COLUMN type TEXT',
+        ],
+    },
+    {
+        version: 12,
+        name: 'custom-events',
+        statements: [
+            'ALTER TABLE events ADD COLUMN name TEXT',
+            'ALTER TABLE events ADD COLUMN properties TEXT',
+            'ALTER TABLE events ADD COLUMN value REAL',
+        ],
+    },
+    {
+        version: 13,
+        name: 'metadata',
+        statements: [
+            // Per-object values that must outlive (or precede) the clients row, e.g. a revocation.
+            `CREATE TABLE metadata (
+                key TEXT PRIMARY KEY,
+                value TEXT NOT NULL
+            )`,
+            `INSERT INTO metadata (key, value)
+             SELECT 'revoked_before', MAX(revoked_before) FROM clients WHERE revoked_before IS NOT NULL
+             HAVING MAX(revoked_before) IS NOT NULL`,
+        ],
+    },
+    {
+        version: 14,
+        name: 'handoff-cookieless',
+        statements: [
+            'ALTER TABLE handoffs ADD COLUMN cookieless INTEGER NOT NULL DEFAULT 0',
+        ],
+    },
+];
+
+/**
+ * Applies every pending migration. Intended to run from a Durable Object
+ * constructor inside `blockConcurrencyWhile`, so no request ever observes a
+ * partially migrated schema.
+ *
+ * @param {DurableObjectStorage} storage - The `ctx.storage` of the Durable Object.
+ * @param {Migration[]} [migrations=MIGRATIONS] - The migrations to apply.
+ * @returns {number} The schema version after migrating.
+ */
+export function runMigrations(storage, migrations = MIGRATIONS) {
+    const {sql} = storage;
+    sql.exec(`CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at INTEGER NOT NULL
+    )`);
+
+    const current = sql.exec('SELECT MAX(version) AS version FROM schema_migrations').one().version || 0;
+    let version = current;
+
+    for (const migration of migrations) {
+        if (migration.version <= current) continue;
+        storage.transactionSync(() => {
+            migration.statements.forEach(statement => sql.exec(statement));
+            sql.exec(
+                'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+                migration.version, migration.name, Date.now()
+            );
+        });
+        version = migration.version;
+    }
+
+    return version;
+}
@@ -406,6 +406,12 @@ export const pushID = (function () {
             const len = Math.max(12, length);
             return hashIsh(input, len, PUSH_CHARS);
         },
+
+        /**
+         * The 64-character alphabet of IDs, for decoding them elsewhere (e.g. in the browser).
+         * @type {string}
+         */
+        alphabet: PUSH_CHARS,
     };
 
     // --- Convenience Aliases ---
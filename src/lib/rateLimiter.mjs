@@ -0,0 +1,241 @@
+/*
+ * =============================================================================
+ * FILE: src/lib/rateLimiter.mjs
+ *
+ * DESCRIPTION:
+ * Named rate-limit policies enforced inside a `SessionDO`. Because a Durable
+ * Object is single-threaded, every check is an atomic read-modify-write of a
+ * row in its `rate_limits` table, with no races between concurrent requests.
+ *
+ * Policy format: `<name>:<limit>/<window>[:<algorithm>][:<key>]`
+ * e.g. `"login:5/1m:sliding:fp,api:100/1m"`
+ * =============================================================================
+ */
+
+/**
+ * The supported limiting algorithms.
+ * @readonly
+ * @enum {string}
+ */
+export const RATE_LIMIT_ALGORITHM = {
+    /** Allows bursts up to the limit, refilling continuously over the window. */
+    TOKEN_BUCKET: 'bucket',
+    /** Approximates a rolling window by weighting the previous fixed window. */
+    SLIDING_WINDOW: 'sliding',
+};
+
+/**
+ * The identifiers a policy can be keyed by.
+ * @readonly
+ * @enum {string}
+ */
+export const RATE_LIMIT_KEY = {
+    CLIENT: 'cid',
+    SESSION: 'sid',
+    /** The fingerprint stable key, which also covers clients without cookies. */
+    FINGERPRINT: 'fp',
+};
+
+/**
+ * Milliseconds per window unit.
+ * @type {Object<string, number>}
+ */
+const WINDOW_UNITS = {s: 1000, m: 60 * 1000, min: 60 * 1000, h: 60 * 60 * 1000};
+
+/** @private */
+const RATE_PATTERN = /^(\d+)\/(\d*)(s|min|m|h)$/;
+
+/**
+ * A cache of parsed policy lists, keyed by the raw configuration string.
+ * @type {Map<string, Map<string, RateLimitPolicy>>}
+ */
+const parsedPolicies = new Map();
+
+/**
+ * @typedef {object} RateLimitPolicy
+ * @property {string} name - The policy name, e.g. `login`.
+ * @property {number} limit - The number of requests allowed per window.
+ * @property {number} windowMs - The window length in milliseconds.
+ * @property {RATE_LIMIT_ALGORITHM} algorithm - The limiting algorithm.
+ * @property {RATE_LIMIT_KEY} key - The identifier the policy is keyed by.
+ */
+
+/**
+ * @typedef {object} RateLimitResult
+ * @property {string} policy - The policy name.
+ * @property {boolean} allowed - Whether the request is within the limit.
+ * @property {number} limit - The number of requests allowed per window.
+ * @property {number} remaining - The requests left in the current window.
+ * @property {number} reset - Seconds until the limit is fully restored.
+ * @property {number} retryAfter - Seconds until the next request would be allowed (`0` if allowed).
+ * @property {number} window - The window length in seconds.
+ */
+
+/**
+ * Parses a policy list such as `"login:5/1m:sliding:fp,api:100/1m"`.
+ * Invalid entries are skipped.
+ *
+ * @param {string | undefined} value - The raw policy list, typically `env.RATE_LIMIT_POLICIES`.
+ * @returns {Map<string, RateLimitPolicy>} The policies by name.
+ */
+export function parseRateLimitPolicies(value) {
+    const policies = new Map();
+    if (!value) return policies;
+    for (const entry of String(value).split(',')) {
+        const [name, rate, algorithm = RATE_LIMIT_ALGORITHM.TOKEN_BUCKET, key = RATE_LIMIT_KEY.CLIENT] =
+            entry.split(':').map(part => part.trim());
+        const match = RATE_PATTERN.exec(rate || '');
+        if (!name || !match) continue;
+        if (!Object.values(RATE_LIMIT_ALGORITHM).includes(algorithm)) continue;
+        if (!Object.values(RATE_LIMIT_KEY).includes(key)) continue;
+        const limit = parseInt(match[1], 10);
+        const windowMs = (parseInt(match[2], 10) || 1) * WINDOW_UNITS[match[3]];
+        if (limit > 0) policies.set(name, {name, limit, windowMs, algorithm, key});
+    }
+    return policies;
+}
+
+/**
+ * Looks up a named policy from the worker's environment.
+ * @param {object} env - The environment object (`RATE_LIMIT_POLICIES`).
+ * @param {string} name - The policy name.
+ * @returns {RateLimitPolicy} The policy.
+ * @throws {Error} If no policy with that name is configured.
+ */
+export function getRateLimitPolicy(env, name) {
+    const raw = env.RATE_LIMIT_POLICIES || '';
+    if (!parsedPolicies.has(raw)) parsedPolicies.set(raw, parseRateLimitPolicies(raw));
+    const policy = parsedPolicies.get(raw).get(name);
+    if (!policy) {
+        throw new Error(`Unknown rate limit policy "${name}".`);
+    }
+    return policy;
+}
+
+/**
+ * Resolves which Durable Object, and which key inside it, a policy is
+ * enforced against. Requests without the required identifier (e.g. a first
+ * visit with no cID yet) fall back to the fingerprint stable key.
+ *
+ * @param {RateLimitPolicy} policy - The policy.
+ * @param {{cID: string|null, sID: string|null, stableKey: string}} identifiers - The request's identifiers.
+ * @returns {{doName: string, key: string}} The Durable Object name and the limiter key.
+ */
+export function rateLimitTarget(policy, {cID, sID, stableKey}) {
+    if (policy.key === RATE_LIMIT_KEY.CLIENT && cID) {
+        return {doName: cID, key: `${RATE_LIMIT_KEY.CLIENT}:${cID}`};
+    }
+    if (policy.key === RATE_LIMIT_KEY.SESSION && cID && sID) {
+        return {doName: cID, key: `${RATE_LIMIT_KEY.SESSION}:${sID}`};
+    }
+    return {doName: stableKey, key: `${RATE_LIMIT_KEY.FINGERPRINT}:${stableKey}`};
+}
+
+/**
+ * Converts a result into IETF `RateLimit-*` response headers.
+ * @param {RateLimitResult} result - The result of a check.
+ * @returns {Object<string, string>} The headers to add to a response.
+ */
+export function rateLimitHeaders(result) {
+    const headers = {
+        'RateLimit-Policy': `${result.limit};w=${result.window}`,
+        'RateLimit-Limit': String(result.limit),
+        'RateLimit-Remaining': String(result.remaining),
+        'RateLimit-Reset': String(result.reset),
+    };
+    if (!result.allowed) headers['Retry-After'] = String(result.retryAfter);
+    return headers;
+}
+
+/**
+ * Factory that creates a rate limiter on top of a Durable Object's
+ * `rate_limits` table (see `migrations.mjs`).
+ * @param {SqlStorage} sql - The `ctx.storage.sql` handle of the owning Durable Object.
+ * @returns {object} A rate limiter instance.
+ */
+export const rateLimiter = (sql) => {
+    /** @private */
+    const load = (policy, key) => sql.exec(
+        'SELECT tokens, window_start, window_count, previous_count FROM rate_limits WHERE policy = ? AND key = ?',
+        policy.name, key
+    ).toArray()[0];
+
+    /** @private */
+    const save = (policy, key, row, now) => sql.exec(
+        `INSERT OR REPLACE INTO rate_limits (policy, key, tokens, window_start, window_count, previous_count, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        policy.name, key, row.tokens, row.window_start, row.window_count, row.previous_count, now + 2 * policy.windowMs
+    );
+
+    /**
+     * For token buckets, `window_start` holds the time of the last refill.
+     * @private
+     */
+    const tokenBucket = (policy, key, cost, now) => {
+        const row = load(policy, key);
+        const refillPerMs = policy.limit / policy.windowMs;
+        const elapsed = row ? Math.max(0, now - row.window_start) : 0;
+        const available = row ? Math.min(policy.limit, row.tokens + elapsed * refillPerMs) : policy.limit;
+        const allowed = available >= cost;
+        const tokens = allowed ? available - cost : available;
+        save(policy, key, {tokens, window_start: now, window_count: 0, previous_count: 0}, now);
+        return {
+            allowed,
+            remaining: Math.floor(tokens),
+            reset: Math.ceil((policy.limit - tokens) / refillPerMs / 1000),
+            retryAfter: allowed ? 0 : Math.ceil((cost - tokens) / refillPerMs / 1000),
+        };
+    };
+
+    /** @private */
+    const slidingWindow = (policy, key, cost, now) => {
+        const windowStart = now - (now % policy.windowMs);
+        const row = load(policy, key);
+        let count = 0;
+        let previous = 0;
+        if (row && row.window_start === windowStart) {
+            count = row.window_count;
+            previous = row.previous_count;
+        } else if (row && row.window_start === windowStart - policy.windowMs) {
+            previous = row.window_count;
+        }
+
+        const previousWeight = 1 - (now - windowStart) / policy.windowMs;
+        const estimate = previous * previousWeight + count;
+        const allowed = estimate + cost <= policy.limit;
+        if (allowed) count += cost;
+        save(policy, key, {tokens: 0, window_start: windowStart, window_count: count, previous_count: previous}, now);
+
+        const remaining = Math.max(0, Math.floor(policy.limit - previous * previousWeight - count));
+        const untilWindowEnd = Math.ceil((windowStart + policy.windowMs - now) / 1000);
+        return {
+            allowed,
+            remaining,
+            reset: untilWindowEnd,
+            retryAfter: allowed ? 0 : untilWindowEnd,
+        };
+    };
+
+    /**
+     * Counts a request against a policy.
+     * @param {RateLimitPolicy} policy - The policy to enforce.
+     * @param {string} key - The limiter key from `rateLimitTarget`.
+     * @param {number} [cost=1] - How many requests this counts as.
+     * @returns {RateLimitResult} The outcome.
+     */
+    const check = (policy, key, cost = 1) => {
+        const now = Date.now();
+        sql.exec('DELETE FROM rate_limits WHERE expires_at < ?', now);
+        const outcome = policy.algorithm === RATE_LIMIT_ALGORITHM.SLIDING_WINDOW
+            ? slidingWindow(policy, key, cost, now)
+            : tokenBucket(policy, key, cost, now);
+        return {
+            policy: policy.name,
+            limit: policy.limit,
+            window: Math.ceil(policy.windowMs / 1000),
+            ...outcome,
+        };
+    };
+
+    return {check};
+};
@@ -0,0 +1,174 @@
+/*
+ * =============================================================================
+ * FILE: src/lib/sessionData.mjs
+ *
+ * DESCRIPTION:
+ * A small key/value store for arbitrary, JSON-serializable application data
+ * (cart contents, feature flags, consent choices, ...) kept inside a client's
+ * Durable Object. Values are either client-scoped (they live as long as the
+ * cID) or session-scoped (they are bound to, and cleared with, a single sID).
+ * =============================================================================
+ */
+
+/**
+ * The supported data scopes.
+ * @readonly
+ * @enum {string}
+ */
+export const DATA_SCOPE = {
+    CLIENT: 'client',
+    SESSION: 'session',
+};
+
+/** @private */
+const KEY_PATTERN = /^[A-Za-z0-9_.:-]{1,128}$/;
+
+/** @private */
+const encoder = new TextEncoder();
+
+/**
+ * @typedef {object} SessionDataConfig
+ * @property {number} [maxValueBytes=8192] - The maximum serialized size of a single value.
+ * @property {number} [maxKeys=128] - The maximum number of keys stored per client (both scopes).
+ */
+
+/**
+ * @typedef {object} SessionDataOptions
+ * @property {DATA_SCOPE} [scope='client'] - The scope the key belongs to.
+ * @property {number} [ttlSeconds] - An optional per-key time-to-live (`set` only).
+ */
+
+/**
+ * Factory that creates a data store on top of a Durable Object's `attributes` table.
+ * @param {SqlStorage} sql - The `ctx.storage.sql` handle of the owning Durable Object.
+ * @param {SessionDataConfig} [config={}] - Configuration for the store.
+ * @returns {object} A session data store instance.
+ */
+export const sessionDataStore = (sql, config = {}) => {
+    const finalConfig = {
+        maxValueBytes: 8192,
+        maxKeys: 128,
+        ...config,
+    };
+
+    /** @private */
+    const validate = (key, scope) => {
+        if (!KEY_PATTERN.test(key)) {
+            throw new Error(`Invalid session data key "${key}". Keys must match ${KEY_PATTERN}.`);
+        }
+        if (scope !== DATA_SCOPE.CLIENT && scope !== DATA_SCOPE.SESSION) {
+            throw new Error(`Invalid session data scope "${scope}".`);
+        }
+    };
+
+    /**
+     * An entry is live if it has not expired and, for session-scoped data,
+     * still belongs to the current session.
+     * @private
+     */
+    const isLive = (row, sID, now) => {
+        if (!row) return false;
+        if (row.expires_at && row.expires_at <= now) return false;
+        return row.scope !== DATA_SCOPE.SESSION || row.sid === sID;
+    };
+
+    /**
+     * Reads a single value.
+     * @param {string} key - The key to read.
+     * @param {string | null} sID - The current session ID.
+     * @param {SessionDataOptions} [options={}]
+     * @returns {Promise<*>} The stored value, or `null` if absent or expired.
+     */
+    const get = async (key, sID, options = {}) => {
+        const {scope = DATA_SCOPE.CLIENT} = options;
+        validate(key, scope);
+        const row = sql.exec('SELECT * FROM attributes WHERE scope = ? AND key = ?', scope, key).toArray()[0];
+        if (!isLive(row, sID, Date.now())) {
+            if (row) sql.exec('DELETE FROM attributes WHERE scope = ? AND key = ?', scope, key);
+            return null;
+        }
+        return JSON.parse(row.value);
+    };
+
+    /**
+     * Reads every live value, grouped by scope.
+     * @param {string | null} sID - The current session ID.
+     * @returns {Promise<{client: object, session: object}>} The stored values.
+     */
+    const getAll = async (sID) => {
+        const now = Date.now();
+        const result = {[DATA_SCOPE.CLIENT]: {}, [DATA_SCOPE.SESSION]: {}};
+        for (const row of sql.exec('SELECT * FROM attributes')) {
+            if (isLive(row, sID, now)) {
+                result[row.scope][row.key] = JSON.parse(row.value);
+            }
+        }
+        sql.exec(
+            'DELETE FROM attributes WHERE (expires_at IS NOT NULL AND expires_at <= ?) OR (scope = ? AND sid IS NOT ?)',
+            now, DATA_SCOPE.SESSION, sID
+        );
+        return result;
+    };
+
+    /**
+     * Writes a single value.
+     * @param {string} key - The key to write.
+     * @param {*} value - A JSON-serializable value.
+     * @param {string | null} sID - The current session ID (required for session scope).
+     * @param {SessionDataOptions} [options={}]
+     * @returns {Promise<void>}
+     */
+    const set = async (key, value, sID, options = {}) => {
+        const {scope = DATA_SCOPE.CLIENT, ttlSeconds} = options;
+        validate(key, scope);
+        if (scope === DATA_SCOPE.SESSION && !sID) {
+            throw new Error('Cannot write session-scoped data without an active session.');
+        }
+
+        const serialized = JSON.stringify(value);
+        if (serialized === undefined) {
+            throw new Error(`Value for session data key "${key}" is not JSON-serializable.`);
+        }
+        const size = encoder.encode(serialized).byteLength;
+        if (size > finalConfig.maxValueBytes) {
+            throw new Error(`Value for session data key "${key}" is ${size} bytes; the limit is ${finalConfig.maxValueBytes}.`);
+        }
+
+        const {total, present} = sql.exec(
+            'SELECT COUNT(*) AS total, SUM(scope = ? AND key = ?) AS present FROM attributes', scope, key
+        ).one();
+        if (!present && total >= finalConfig.maxKeys) {
+            throw new Error(`Session data key limit of ${finalConfig.maxKeys} reached.`);
+        }
+
+        const ttl = parseInt(ttlSeconds, 10);
+        const now = Date.now();
+        sql.exec(
+            `INSERT OR REPLACE INTO attributes (scope, key, value, sid, expires_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            scope, key, serialized, scope === DATA_SCOPE.SESSION ? sID : null, ttl > 0 ? now + ttl * 1000 : null, now
+        );
+    };
+
+    /**
+     * Deletes a single value.
+     * @param {string} key - The key to delete.
+     * @param {SessionDataOptions} [options={}]
+     * @returns {Promise<boolean>} True if a value was deleted.
+     */
+    const remove = async (key, options = {}) => {
+        const {scope = DATA_SCOPE.CLIENT} = options;
+        validate(key, scope);
+        return sql.exec('DELETE FROM attributes WHERE scope = ? AND key = ?', scope, key).rowsWritten > 0;
+    };
+
+    /**
+     * Deletes every session-scoped value. Called when the sID rotates.
+     * @returns {Promise<void>}
+     */
+    const clearSessionScope = async () => {
+        sql.exec('DELETE FROM attributes WHERE scope = ?', DATA_SCOPE.SESSION);
+    };
+
+    return {get, getAll, set, delete: remove, clearSessionScope, config: finalConfig};
+};
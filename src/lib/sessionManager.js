@@ -9,26 +9,44 @@
  */
 
 import {pushID} from './pushID.js';
+import {buildPolicies, evaluatePolicies, SESSION_END_REASON} from './sessionPolicies.mjs';
 
 /**
  * Factory function to create a new sessionManager instance.
- * @param {object} [config={}] - Configuration for the session manager.
+ * @param {import('./sessionPolicies.mjs').SessionPolicyConfig & {randomnessLength?: number}} [config={}]
+ * - Configuration for the session manager, including the session-ending policies.
  * @returns {object} A session manager instance.
  */
 export const sessionManager = (config = {}) => {
     const finalConfig = {
         sessionTimeout: 30 * 60 * 1000,
+        maxSessionAge: 0,
+        midnightRollover: false,
+        campaignRollover: false,
         randomnessLength: 12,
         ...config,
     };
+    const policies = buildPolicies(finalConfig);
 
+    /**
+     * Advances the identifier hierarchy by one event.
+     * @param {object} options
+     * @param {{get: (key: string) => string|null}} options.storageHandler - Reads the current state.
+     * @param {boolean|string} [options.forceNewSession=false] - Start a new session regardless of
+     * the policies (e.g. on logout). A string is reported as the `sessionEndReason`.
+     * @param {{timezone?: string|null, campaign?: string|null}} [options.context={}] - Request
+     * details used by the timezone and campaign policies.
+     * @returns {{newState: object, oldState: object, changes: {isNewClient: boolean, isNewSession: boolean, sessionEndReason: string|null}}}
+     */
     const process = (options = {}) => {
-        const {storageHandler} = options;
+        const {storageHandler, forceNewSession = false, context = {}} = options;
         if (!storageHandler) throw new Error("A storageHandler must be provided.");
 
         const cID = storageHandler.get('cID');
         const sID = storageHandler.get('sID');
         const prevEID = storageHandler.get('eID');
+        // `undefined` when the handler can't know it (see `rehydrate`), which the campaign policy skips.
+        const previousCampaign = storageHandler.get('campaign');
 
         const oldState = {
             cID, sID, eID: prevEID,
@@ -38,10 +56,23 @@ export const sessionManager = (config = {}) => {
         };
 
         const lastActivityTime = prevEID ? pushID.decodeTime(prevEID) : (sID ? pushID.decodeTime(sID) : (cID ? pushID.decodeTime(cID) : null));
-        const isSessionExpired = lastActivityTime ? (Date.now() - lastActivityTime) > finalConfig.sessionTimeout : true;
+
+        let sessionEndReason = null;
+        if (sID && forceNewSession) {
+            sessionEndReason = typeof forceNewSession === 'string' ? forceNewSession : SESSION_END_REASON.FORCED;
+        } else if (sID && lastActivityTime) {
+            sessionEndReason = evaluatePolicies(policies, {
+                now: Date.now(),
+                sessionStartTime: pushID.decodeTime(sID) ?? lastActivityTime,
+                lastActivityTime,
+                timezone: context.timezone || null,
+                campaign: context.campaign || null,
+                previousCampaign,
+            });
+        }
 
         const isNewClient = !cID;
-        const isNewSession = !sID || isSessionExpired;
+        const isNewSession = !sID || !lastActivityTime || sessionEndReason !== null;
 
         const newEIDObj = pushID.newObj({length: finalConfig.randomnessLength});
         const finalCID = cID || newEIDObj.id;
@@ -54,13 +85,27 @@ export const sessionManager = (config = {}) => {
             clientTime: new Date(pushID.decodeTime(finalCID)),
             sessionTime: new Date(pushID.decodeTime(finalSID)),
             eventTime: newEIDObj.date,
+            // A continued session whose campaign is unknown adopts the first one it is seen with.
+            campaign: isNewSession || previousCampaign === undefined ? (context.campaign || null) : previousCampaign,
         };
 
-        return {newState, oldState, changes: {isNewClient, isNewSession}};
+        return {newState, oldState, changes: {isNewClient, isNewSession, sessionEndReason}};
     };
 
-    const rehydrate = (cookieState) => {
-        const {cID, sID, eID} = cookieState;
+    /**
+     * Rebuilds a session from client-held cookie values, e.g. after the
+     * server-side state was garbage collected. Only state that has passed
+     * signature verification is trusted; anything else starts a new client.
+     * Cookies don't carry the session's campaign, so it is reported as unknown.
+     * @param {{cID: string|null, sID: string|null, eID: string|null, verified: boolean}} cookieState
+     * @param {{forceNewSession?: boolean|string, context?: object}} [options={}] - Passed through to `process`.
+     * @returns {object} The same result shape as `process`.
+     */
+    const rehydrate = (cookieState, options = {}) => {
+        const {cID, sID, eID, verified = false} = cookieState;
+        if (!verified) {
+            return process({...options, storageHandler: {get: () => null}});
+        }
 
         const newStateFromCookies = {
             cID, sID, eID,
@@ -69,8 +114,23 @@ export const sessionManager = (config = {}) => {
             eventTime: eID ? new Date(pushID.decodeTime(eID)) : null,
         };
 
-        return process({storageHandler: {get: (key) => newStateFromCookies[key] || null}});
+        return process({
+            ...options,
+            storageHandler: {get: (key) => key === 'campaign' ? undefined : (newStateFromCookies[key] || null)},
+        });
+    };
+
+    /**
+     * Issues the next eID within the current session without evaluating the
+     * session policies, for events attached to a session the caller has
+     * already established (e.g. custom events).
+     * @param {object} state - The current state.
+     * @returns {object} The state with a new `eID` and `eventTime`.
+     */
+    const nextEvent = (state) => {
+        const newEIDObj = pushID.newObj({length: finalConfig.randomnessLength});
+        return {...state, eID: newEIDObj.id, eventTime: newEIDObj.date};
     };
 
-    return {process, rehydrate, config: finalConfig};
+    return {process, rehydrate, nextEvent, config: finalConfig};
 };
\ No newline at end of file
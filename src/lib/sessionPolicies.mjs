@@ -0,0 +1,173 @@
+/*
+ * =============================================================================
+ * FILE: src/lib/sessionPolicies.mjs
+ *
+ * DESCRIPTION:
+ * The policy engine that decides when a session ends. Each policy inspects the
+ * timing of the current session and the incoming request, and either lets the
+ * session continue or names the reason it must roll over. Policies are
+ * evaluated in order and the first one to fire wins.
+ * =============================================================================
+ */
+
+/**
+ * The reasons a session can end, as reported on `.session.sessionEndReason`.
+ * @readonly
+ * @enum {string}
+ */
+export const SESSION_END_REASON = {
+    /** No activity for longer than the inactivity timeout. */
+    INACTIVITY: 'inactivity',
+    /** The session exceeded its absolute maximum age. */
+    MAX_AGE: 'max_age',
+    /** The calendar day changed in the user's timezone. */
+    MIDNIGHT: 'midnight',
+    /** The visitor arrived from a new campaign or referrer. */
+    CAMPAIGN: 'campaign',
+    /** The session was revoked server-side. */
+    REVOKED: 'revoked',
+    /** The session was ended explicitly (e.g. logout). */
+    FORCED: 'forced',
+    /** A hijacking rule fired with the `new_session` action. */
+    RISK: 'risk',
+};
+
+/** @private */
+const UTM_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+
+/**
+ * A cache of `Intl.DateTimeFormat` instances, keyed by timezone.
+ * @type {Map<string, Intl.DateTimeFormat>}
+ */
+const dateFormatters = new Map();
+
+/** @private */
+const getLocalDate = (timestamp, timeZone) => {
+    if (!dateFormatters.has(timeZone)) {
+        dateFormatters.set(timeZone, new Intl.DateTimeFormat('en-CA', {
+            timeZone, year: 'numeric', month: '2-digit', day: '2-digit',
+        }));
+    }
+    return dateFormatters.get(timeZone).format(timestamp);
+};
+
+/**
+ * @typedef {object} PolicyContext
+ * @property {number} now - The current time in milliseconds.
+ * @property {number} sessionStartTime - When the current session started.
+ * @property {number} lastActivityTime - When the last event of the session happened.
+ * @property {string | null} [timezone] - The user's IANA timezone (`request.cf.timezone`).
+ * @property {string | null} [campaign] - The campaign key of the incoming request.
+ * @property {string | null} [previousCampaign] - The campaign key the session was started with, or
+ * `undefined` if it is unknown (a session rebuilt from cookies).
+ */
+
+/**
+ * @typedef {object} SessionPolicyConfig
+ * @property {number} [sessionTimeout=1800000] - Inactivity timeout in ms. `0` disables it.
+ * @property {number} [maxSessionAge=0] - Absolute maximum session age in ms. `0` disables it.
+ * @property {boolean} [midnightRollover=false] - End sessions at midnight in the user's timezone.
+ * @property {boolean} [campaignRollover=false] - End sessions when a new campaign/referrer arrives.
+ */
+
+/**
+ * Builds the ordered list of active policies from a configuration object.
+ * Each policy is a function that returns a `SESSION_END_REASON` or `null`.
+ *
+ * @param {SessionPolicyConfig} config - The policy configuration.
+ * @returns {Array<(ctx: PolicyContext) => string | null>} The active policies.
+ */
+export function buildPolicies(config) {
+    const policies = [];
+
+    if (config.sessionTimeout > 0) {
+        policies.push(({now, lastActivityTime}) =>
+            now - lastActivityTime > config.sessionTimeout ? SESSION_END_REASON.INACTIVITY : null);
+    }
+
+    if (config.maxSessionAge > 0) {
+        policies.push(({now, sessionStartTime}) =>
+            now - sessionStartTime > config.maxSessionAge ? SESSION_END_REASON.MAX_AGE : null);
+    }
+
+    if (config.midnightRollover) {
+        policies.push(({now, lastActivityTime, timezone}) => {
+            if (!timezone) return null;
+            try {
+                return getLocalDate(now, timezone) !== getLocalDate(lastActivityTime, timezone)
+                    ? SESSION_END_REASON.MIDNIGHT : null;
+            } catch (error) {
+                // An unknown timezone disables this policy for the request.
+                return null;
+            }
+        });
+    }
+
+    if (config.campaignRollover) {
+        // Without the session's own campaign there is nothing to compare, so the session continues.
+        policies.push(({campaign, previousCampaign}) => {
+            const isKnown = previousCampaign !== undefined;
+            return campaign && isKnown && campaign !== previousCampaign ? SESSION_END_REASON.CAMPAIGN : null;
+        });
+    }
+
+    return policies;
+}
+
+/**
+ * Runs the policies in order and returns the first reason to end the session.
+ * @param {Array<(ctx: PolicyContext) => string | null>} policies - From `buildPolicies`.
+ * @param {PolicyContext} context - The timing and request context.
+ * @returns {string | null} A `SESSION_END_REASON`, or `null` if the session continues.
+ */
+export function evaluatePolicies(policies, context) {
+    for (const policy of policies) {
+        const reason = policy(context);
+        if (reason) return reason;
+    }
+    return null;
+}
+
+/**
+ * Derives a campaign key from a request, the way analytics tools attribute
+ * traffic: UTM parameters take precedence, otherwise an external referrer's
+ * hostname. Internal navigation has no campaign.
+ *
+ * @param {Request} request - The incoming request.
+ * @returns {string | null} The campaign key (e.g. "utm:google|cpc|spring||"), or null.
+ */
+export function getCampaign(request) {
+    try {
+        const url = new URL(request.url);
+        const utmValues = UTM_PARAMS.map(param => url.searchParams.get(param) || '');
+        if (utmValues.some(Boolean)) {
+            return `utm:${utmValues.join('|')}`;
+        }
+
+        const referrer = request.headers.get('Referer');
+        if (referrer) {
+            const referrerHost = new URL(referrer).hostname;
+            if (referrerHost && referrerHost !== url.hostname) {
+                return `ref:${referrerHost}`;
+            }
+        }
+    } catch (error) {
+        // Malformed URLs or referrers carry no campaign.
+    }
+    return null;
+}
+
+/**
+ * Reads the session policy configuration from the worker's environment.
+ * @param {object} env - The environment object.
+ * @returns {SessionPolicyConfig} A configuration for `sessionManager`.
+ */
+export function policyConfigFromEnv(env) {
+    const timeout = parseInt(env.SESSION_TIMEOUT_MS, 10);
+    return {
+        sessionTimeout: Number.isNaN(timeout) ? 30 * 60 * 1000 : timeout,
+        maxSessionAge: parseInt(env.SESSION_MAX_AGE_MS, 10) || 0,
+        midnightRollover: String(env.SESSION_MIDNIGHT_ROLLOVER) === 'true',
+        campaignRollover: String(env.SESSION_CAMPAIGN_ROLLOVER) === 'true',
+    };
+}
@@ -0,0 +1,427 @@
+/*
+ * =============================================================================
+ * FILE: src/lib/sessionStore.mjs
+ *
+ * DESCRIPTION:
+ * The persistence layer of the `SessionDO`. It maps the in-memory session
+ * state onto the `clients` and `sessions` tables defined in `migrations.mjs`,
+ * keeps per-session aggregates and CSRF tokens up to date, stores revocations
+ * and the consent audit trail, moves bootstrapped clients between Durable
+ * Objects, and imports the `cID`/`sID`/`eID` keys the original key/value
+ * version of the `SessionDO` stored.
+ * =============================================================================
+ */
+
+import {pushID} from './pushID.js';
+import {CID_COOKIE, EID_COOKIE, SID_COOKIE} from './constants.mjs';
+
+/**
+ * The tables included in a data export, in export order.
+ * @type {string[]}
+ */
+const EXPORT_TABLES = ['clients', 'sessions', 'events', 'attributes', 'consent_log', 'fingerprints', 'metadata'];
+
+/**
+ * The keys of the `metadata` table.
+ * @type {{REVOKED_BEFORE: string, LAST_CONSENT: string}}
+ */
+const METADATA_KEY = {
+    REVOKED_BEFORE: 'revoked_before',
+    LAST_CONSENT: 'last_consent',
+};
+
+/**
+ * @typedef {object} StoredState
+ * @property {string | null} cID - The Client ID.
+ * @property {string | null} sID - The current Session ID.
+ * @property {string | null} eID - The last Event ID.
+ * @property {string | null} userId - The linked user ID.
+ * @property {string | null} campaign - The campaign the current session started with.
+ * @property {string | null} fingerprint - The fingerprint cookie value, written into the cookie envelope.
+ */
+
+/**
+ * Factory that creates the session store for a Durable Object.
+ * @param {DurableObjectStorage} storage - The `ctx.storage` of the owning Durable Object.
+ * @returns {object} A session store instance.
+ */
+export const sessionStore = (storage) => {
+    const {sql} = storage;
+
+    /** @private */
+    const getMetadata = (key) => {
+        const row = sql.exec('SELECT value FROM metadata WHERE key = ?', key).toArray()[0];
+        return row ? JSON.parse(row.value) : null;
+    };
+
+    /** @private */
+    const setMetadata = (key, value) => {
+        sql.exec('INSERT OR REPLACE INTO metadata (key, value) VALUES (?, ?)', key, JSON.stringify(value));
+    };
+
+    /**
+     * Loads the client's current state.
+     * @returns {StoredState} The stored state, with `null` fields for a new client.
+     */
+    const loadState = () => {
+        const row = sql.exec(
+            'SELECT cid, current_sid, last_eid, user_id, campaign, fingerprint FROM clients ORDER BY last_seen_at DESC LIMIT 1'
+        ).toArray()[0];
+        return {
+            cID: row?.cid || null,
+            sID: row?.current_sid || null,
+            eID: row?.last_eid || null,
+            userId: row?.user_id || null,
+            campaign: row?.campaign || null,
+            fingerprint: row?.fingerprint || null,
+        };
+    };
+
+    /**
+     * Writes the client row for a state.
+     * @param {StoredState} state - The state to persist.
+     * @returns {void}
+     */
+    const saveClient = (state) => {
+        if (!state.cID) return;
+        const now = Date.now();
+        sql.exec(
+            `INSERT INTO clients (cid, current_sid, last_eid, user_id, campaign, fingerprint, created_at, last_seen_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+             ON CONFLICT (cid) DO UPDATE SET
+                current_sid = excluded.current_sid,
+                last_eid = excluded.last_eid,
+                user_id = excluded.user_id,
+                campaign = excluded.campaign,
+                fingerprint = excluded.fingerprint,
+                last_seen_at = excluded.last_seen_at`,
+            state.cID, state.sID || null, state.eID || null, state.userId || null, state.campaign || null,
+            state.fingerprint || null, pushID.decodeTime(state.cID) ?? now, now
+        );
+    };
+
+    /**
+     * Records an event against the sessions table: starts a new session row
+     * (ending the previous one) or bumps the current session's aggregates.
+     * @param {StoredState} state - The state after the event.
+     * @param {{isNewSession: boolean, sessionEndReason: string|null}} changes - From `sessionManager.process`.
+     * @param {string | null} previousSID - The session that was active before the event.
+     * @returns {void}
+     */
+    const recordSessionEvent = (state, changes, previousSID) => {
+        const now = Date.now();
+        if (changes.isNewSession && previousSID) {
+            sql.exec(
+                'UPDATE sessions SET ended_at = ?, end_reason = ? WHERE sid = ? AND ended_at IS NULL',
+                now, changes.sessionEndReason, previousSID
+            );
+        }
+        sql.exec(
+            `INSERT INTO sessions (sid, cid, started_at, last_activity_at, event_count, campaign)
+             VALUES (?, ?, ?, ?, 1, ?)
+             ON CONFLICT (sid) DO UPDATE SET
+                last_activity_at = excluded.last_activity_at,
+                event_count = sessions.event_count + 1`,
+            state.sID, state.cID, pushID.decodeTime(state.sID) ?? now, now, state.campaign || null
+        );
+    };
+
+    /**
+     * @param {string | null} sID - The Session ID.
+     * @returns {string | null} The session's CSRF token, or `null` if none was issued.
+     */
+    const getCsrfToken = (sID) => {
+        if (!sID) return null;
+        return sql.exec('SELECT csrf_token FROM sessions WHERE sid = ?', sID).toArray()[0]?.csrf_token || null;
+    };
+
+    /**
+     * Stores the CSRF token of a recorded session.
+     * @param {string} sID - The Session ID.
+     * @param {string} token - The token.
+     * @returns {void}
+     */
+    const setCsrfToken = (sID, token) => {
+        sql.exec('UPDATE sessions SET csrf_token = ? WHERE sid = ?', token, sID);
+    };
+
+    /**
+     * Marks a single session as revoked.
+     * @param {string} sID - The Session ID to revoke.
+     * @param {string | null} cID - The owning Client ID, if known.
+     * @returns {void}
+     */
+    const revokeSession = (sID, cID) => {
+        const now = Date.now();
+        sql.exec(
+            `INSERT INTO sessions (sid, cid, started_at, last_activity_at, revoked_at)
+             VALUES (?, ?, ?, ?, ?)
+             ON CONFLICT (sid) DO UPDATE SET revoked_at = excluded.revoked_at`,
+            sID, cID || null, pushID.decodeTime(sID) ?? now, now, now
+        );
+    };
+
+    /**
+     * Revokes every session started up to now, including sessions that are
+     * only known from cookies. The cut-off is kept apart from the clients row,
+     * so it also holds in an object that has no client state (yet or anymore).
+     * @returns {number} The revocation timestamp.
+     */
+    const revokeAllSessions = () => {
+        const now = Date.now();
+        setMetadata(METADATA_KEY.REVOKED_BEFORE, now);
+        sql.exec('UPDATE sessions SET revoked_at = ? WHERE revoked_at IS NULL AND ended_at IS NULL', now);
+        return now;
+    };
+
+    /**
+     * @param {string | null} sID - The Session ID to check.
+     * @returns {boolean} True if the session was revoked.
+     */
+    const isRevoked = (sID) => {
+        if (!sID) return false;
+        const session = sql.exec('SELECT revoked_at FROM sessions WHERE sid = ?', sID).toArray()[0];
+        if (session?.revoked_at) return true;
+        const revokedBefore = getMetadata(METADATA_KEY.REVOKED_BEFORE);
+        const sessionTime = pushID.decodeTime(sID);
+        return Boolean(revokedBefore && sessionTime !== null && sessionTime <= revokedBefore);
+    };
+
+    /**
+     * Remembers the fingerprint-keyed Durable Object that bootstrapped a client,
+     * so erasure can remove it as well. The first key recorded is kept.
+     * @param {string} cID - The Client ID.
+     * @param {string} bootstrapKey - The stable key of the bootstrap Durable Object.
+     * @returns {void}
+     */
+    const setBootstrapKey = (cID, bootstrapKey) => {
+        sql.exec('UPDATE clients SET bootstrap_key = COALESCE(bootstrap_key, ?) WHERE cid = ?', bootstrapKey, cID);
+    };
+
+    /**
+     * @param {string} cID - The Client ID.
+     * @returns {string | null} The stable key of the client's bootstrap Durable Object.
+     */
+    const getBootstrapKey = (cID) => {
+        return sql.exec('SELECT bootstrap_key FROM clients WHERE cid = ?', cID).toArray()[0]?.bootstrap_key || null;
+    };
+
+    /**
+     * Records the tenant profile the client belongs to.
+     * @param {string} cID - The Client ID.
+     * @param {string} tenant - The tenant name.
+     * @returns {void}
+     */
+    const setTenant = (cID, tenant) => {
+        sql.exec('UPDATE clients SET tenant = ? WHERE cid = ? AND tenant IS NULL', tenant, cID);
+    };
+
+    /**
+     * @returns {string | null} The tenant profile of this Durable Object's client, if any.
+     */
+    const getTenant = () => sql.exec(
+        'SELECT tenant FROM clients WHERE tenant IS NOT NULL LIMIT 1'
+    ).toArray()[0]?.tenant || null;
+
+    /**
+     * Lists the client's most recent sessions, newest first.
+     * @param {number} [limit=10] - The maximum number of sessions.
+     * @returns {{sID: string, startedAt: number, lastActivityAt: number, eventCount: number, campaign: string|null,
+     * endedAt: number|null, endReason: string|null, revokedAt: number|null}[]} The sessions.
+     */
+    const listSessions = (limit = 10) => sql.exec(
+        'SELECT * FROM sessions ORDER BY started_at DESC LIMIT ?', limit
+    ).toArray().map(row => ({
+        sID: row.sid,
+        startedAt: row.started_at,
+        lastActivityAt: row.last_activity_at,
+        eventCount: row.event_count,
+        campaign: row.campaign,
+        endedAt: row.ended_at,
+        endReason: row.end_reason,
+        revokedAt: row.revoked_at,
+    }));
+
+    /**
+     * Reads every row this Durable Object holds, table by table. Attribute
+     * values and consent categories are decoded from JSON.
+     * @returns {Object<string, object[]>} The rows, keyed by table name.
+     */
+    const exportAll = () => {
+        const tables = {};
+        for (const table of EXPORT_TABLES) {
+            tables[table] = sql.exec(`SELECT * FROM ${table}`).toArray().map(row => {
+                if (table === 'attributes') return {...row, value: JSON.parse(row.value)};
+                if (table === 'consent_log') return {...row, categories: JSON.parse(row.categories)};
+                if (table === 'fingerprints') return {...row, components: JSON.parse(row.components)};
+                if (table === 'metadata') return {...row, value: JSON.parse(row.value)};
+                return {...row};
+            });
+        }
+        return tables;
+    };
+
+    /**
+     * @returns {Object<string, number>} The number of rows in each exported table.
+     */
+    const countRecords = () => Object.fromEntries(EXPORT_TABLES.map(table => [
+        table, sql.exec(`SELECT COUNT(*) AS total FROM ${table}`).one().total,
+    ]));
+
+    /**
+     * Reads the raw rows of every client table, for handing a bootstrapped
+     * client over to its cID-named Durable Object.
+     * @returns {Object<string, object[]>} The rows, keyed by table name.
+     */
+    const dumpTables = () => Object.fromEntries(EXPORT_TABLES.map(table => [
+        table, sql.exec(`SELECT * FROM ${table}`).toArray().map(row => ({...row})),
+    ]));
+
+    /**
+     * Writes rows produced by `dumpTables` in one transaction.
+     * @param {Object<string, object[]>} tables - The rows, keyed by table name.
+     * @returns {void}
+     */
+    const restoreTables = (tables) => {
+        storage.transactionSync(() => {
+            for (const table of EXPORT_TABLES) {
+                for (const row of tables[table] || []) {
+                    const columns = Object.keys(row);
+                    sql.exec(
+                        `INSERT OR REPLACE INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+                        ...columns.map(column => row[column])
+                    );
+                }
+            }
+        });
+    };
+
+    /**
+     * Replaces the client tables with a pointer to the cID that now owns them.
+     * @param {string} cID - The Client ID the state was handed to.
+     * @param {boolean} [cookieless=false] - Whether the client was handed off in cookieless mode.
+     * @returns {void}
+     */
+    const markHandedOff = (cID, cookieless = false) => {
+        storage.transactionSync(() => {
+            for (const table of EXPORT_TABLES) sql.exec(`DELETE FROM ${table}`);
+            sql.exec(
+                'INSERT OR REPLACE INTO handoffs (cid, handed_off_at, cookieless) VALUES (?, ?, ?)',
+                cID, Date.now(), cookieless ? 1 : 0
+            );
+        });
+    };
+
+    /**
+     * @returns {string | null} The cID this bootstrap Durable Object handed its client to, if any.
+     */
+    const getHandoff = () => sql.exec(
+        'SELECT cid FROM handoffs ORDER BY handed_off_at DESC LIMIT 1'
+    ).toArray()[0]?.cid || null;
+
+    /**
+     * @returns {boolean} Whether the latest handoff was of a cookieless client, which finds its cID only through here.
+     */
+    const isCookielessHandoff = () => sql.exec(
+        'SELECT cookieless FROM handoffs ORDER BY handed_off_at DESC LIMIT 1'
+    ).toArray()[0]?.cookieless === 1;
+
+    /**
+     * Appends a consent decision to the audit trail.
+     * @param {{categories: string[], version: string|null, source: string}} decision - The decision.
+     * @param {string | null} sID - The session the decision was made in.
+     * @returns {number} The timestamp it was recorded at.
+     */
+    const recordConsent = (decision, sID) => {
+        const now = Date.now();
+        sql.exec(
+            'INSERT INTO consent_log (sid, categories, version, source, recorded_at) VALUES (?, ?, ?, ?, ?)',
+            sID || null, JSON.stringify(decision.categories), decision.version || null, decision.source, now
+        );
+        return now;
+    };
+
+    /**
+     * @returns {{sID: string|null, categories: string[], version: string|null, source: string, recordedAt: number}[]}
+     * Every recorded consent decision, oldest first.
+     */
+    const getConsentHistory = () => sql.exec(
+        'SELECT sid, categories, version, source, recorded_at FROM consent_log ORDER BY id ASC'
+    ).toArray().map(row => ({
+        sID: row.sid,
+        categories: JSON.parse(row.categories),
+        version: row.version,
+        source: row.source,
+        recordedAt: row.recorded_at,
+    }));
+
+    /**
+     * @returns {object | null} The consent resolved for the client's latest request, as stored by `setLastConsent`.
+     */
+    const getLastConsent = () => getMetadata(METADATA_KEY.LAST_CONSENT);
+
+    /**
+     * Stores the consent resolved for the client's latest request, which RPCs without a request fall back to.
+     * @param {{mode: string, granted: boolean, categories: string[], source: string, version: string|null}} consent
+     * @returns {void}
+     */
+    const setLastConsent = (consent) => setMetadata(METADATA_KEY.LAST_CONSENT, consent);
+
+    /**
+     * Moves the state the key/value version of the `SessionDO` stored (the
+     * `cID`, `sID` and `eID` keys) into the SQL tables, then deletes the old
+     * keys. A no-op once migrated.
+     * @returns {Promise<boolean>} True if legacy state was imported.
+     */
+    const importLegacyState = async () => {
+        const legacy = await storage.get([CID_COOKIE, SID_COOKIE, EID_COOKIE]);
+        if (legacy.size === 0) return false;
+
+        const cID = legacy.get(CID_COOKIE) || null;
+        const sID = legacy.get(SID_COOKIE) || null;
+        const eID = legacy.get(EID_COOKIE) || null;
+        if (cID) {
+            const now = Date.now();
+            storage.transactionSync(() => {
+                saveClient({cID, sID, eID, userId: null, campaign: null, fingerprint: null});
+                if (sID) {
+                    sql.exec(
+                        `INSERT OR IGNORE INTO sessions (sid, cid, started_at, last_activity_at)
+                         VALUES (?, ?, ?, ?)`,
+                        sID, cID, pushID.decodeTime(sID) ?? now, (eID && pushID.decodeTime(eID)) ?? now
+                    );
+                }
+            });
+        }
+        await storage.delete([...legacy.keys()]);
+        return true;
+    };
+
+    return {
+        loadState,
+        saveClient,
+        recordSessionEvent,
+        getCsrfToken,
+        setCsrfToken,
+        recordConsent,
+        getConsentHistory,
+        getLastConsent,
+        setLastConsent,
+        setBootstrapKey,
+        getBootstrapKey,
+        setTenant,
+        getTenant,
+        listSessions,
+        exportAll,
+        countRecords,
+        dumpTables,
+        restoreTables,
+        markHandedOff,
+        getHandoff,
+        isCookielessHandoff,
+        revokeSession,
+        revokeAllSessions,
+        isRevoked,
+        importLegacyState,
+    };
+};
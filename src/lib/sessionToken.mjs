@@ -0,0 +1,99 @@
+/*
+ * =============================================================================
+ * FILE: src/lib/sessionToken.mjs
+ *
+ * DESCRIPTION:
+ * Carries the session identifiers without cookies, for API clients, native
+ * apps and browsers that block cookies. The identifiers are packed into one
+ * signed token that travels in a request header or URL parameter and is
+ * returned in a response header.
+ *
+ * Token format: `<base64url JSON {c, s, e, u}>.<keyId>.<signature>`
+ *
+ * Tokens only exist when `COOKIE_SIGNING_KEYS` is set: an unsigned token could
+ * name any client's cID, so none are issued or accepted without a key.
+ * =============================================================================
+ */
+
+import {SIGNATURE_STATUS} from './cookieSigner.mjs';
+
+/**
+ * The name the token is signed under, which keeps it from verifying as a cookie.
+ * @type {string}
+ */
+const TOKEN_NAME = 'session-token';
+
+/** @private */
+const toBase64Url = (text) => btoa(String.fromCharCode(...new TextEncoder().encode(text)))
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+/** @private */
+const fromBase64Url = (encoded) => new TextDecoder().decode(
+    Uint8Array.from(atob(encoded.replace(/-/g, '+').replace(/_/g, '/')), char => char.charCodeAt(0))
+);
+
+/**
+ * @typedef {object} SessionTokenConfig
+ * @property {boolean} cookieless - Whether requests are processed without cookies by default.
+ * @property {string} headerName - The request and response header carrying the token.
+ * @property {string} paramName - The URL parameter carrying the token (empty disables it).
+ */
+
+/**
+ * Reads the session token configuration from the worker's environment.
+ * @param {object} env - The environment object.
+ * @returns {SessionTokenConfig} The configuration.
+ */
+export function sessionTokenConfigFromEnv(env) {
+    return {
+        cookieless: String(env.COOKIELESS_MODE) === 'true',
+        headerName: env.SESSION_TOKEN_HEADER || 'X-Session-Token',
+        paramName: env.SESSION_TOKEN_PARAM || '',
+    };
+}
+
+/**
+ * Reads the raw token from the request header, then the URL parameter.
+ * @param {Request} request - The incoming request.
+ * @param {SessionTokenConfig} config - From `sessionTokenConfigFromEnv`.
+ * @returns {string | null} The token, or null if absent.
+ */
+export function readSessionToken(request, config) {
+    const header = request.headers.get(config.headerName);
+    if (header) return header.trim();
+    if (!config.paramName) return null;
+    return new URL(request.url).searchParams.get(config.paramName) || null;
+}
+
+/**
+ * Creates a signed token for a session state.
+ * @param {ReturnType<import('./cookieSigner.mjs').cookieSigner>} signer - The cookie signer.
+ * @param {{cID: string, sID: string, eID: string, userId?: string | null}} state - The identifiers.
+ * @returns {Promise<string | null>} The token, or null if signing is disabled.
+ */
+export async function createSessionToken(signer, state) {
+    if (!signer.enabled) return null;
+    const payload = toBase64Url(JSON.stringify({c: state.cID, s: state.sID, e: state.eID, u: state.userId || null}));
+    return signer.sign(TOKEN_NAME, payload);
+}
+
+/**
+ * Verifies a token and unpacks its identifiers.
+ * @param {ReturnType<import('./cookieSigner.mjs').cookieSigner>} signer - The cookie signer.
+ * @param {string | null} token - The token from `readSessionToken`.
+ * @returns {Promise<{cID: string, sID: string|null, eID: string|null, userId: string|null} | null>} The
+ * identifiers, or null if the token is missing, forged, malformed or signing is disabled.
+ */
+export async function verifySessionToken(signer, token) {
+    if (!signer.enabled) return null;
+    const {value, status} = await signer.verify(TOKEN_NAME, token);
+    // Tokens have always been signed, so the unsigned values cookies accept during migration are never valid here.
+    if (status !== SIGNATURE_STATUS.VALID && status !== SIGNATURE_STATUS.ROTATED) return null;
+    try {
+        const {c, s, e, u} = JSON.parse(fromBase64Url(value));
+        if (typeof c !== 'string' || !c) return null;
+        return {cID: c, sID: s || null, eID: e || null, userId: u || null};
+    } catch {
+        return null;
+    }
+}
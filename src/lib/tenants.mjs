@@ -0,0 +1,177 @@
+/*
+ * =============================================================================
+ * FILE: src/lib/tenants.mjs
+ *
+ * DESCRIPTION:
+ * Lets one deployment serve several sites with independent configuration.
+ * A tenant profile overrides any of the worker's plain `[vars]` (cookie
+ * prefix and domain, SameSite, session policies, fingerprint strategy, ...)
+ * and can point the analytics roles at other Analytics Engine bindings.
+ * Secrets, the admin API's access settings and bindings are never
+ * overridden. Durable Object names are namespaced per tenant, so identities
+ * never cross.
+ *
+ * `TENANT_PROFILES` format (JSON):
+ * {"shop": {"hosts": ["shop.example.com", "*.shop.example.com"],
+ *           "vars": {"COOKIE_APP_PREFIX": "shop", "SESSION_TIMEOUT_MS": 900000},
+ *           "datasets": {"STATS_EVENTS": "SHOP_EVENTS"}}}
+ * =============================================================================
+ */
+
+/**
+ * The separator between a tenant name and a Durable Object name. Names
+ * never contain it, so no default-tenant name can pass for a tenant's.
+ * @type {string}
+ */
+export const TENANT_SEPARATOR = ':';
+
+/**
+ * Variables a profile may not override: the secrets, the admin API's access
+ * settings, the unsigned-cookie window and the profiles themselves.
+ * @type {string[]}
+ */
+const PROTECTED_VARS = [
+    'COOKIE_SIGNING_KEYS',
+    'COOKIE_LEGACY_ACCEPT_UNTIL',
+    'ADMIN_TOKEN',
+    'ADMIN_MTLS',
+    'ADMIN_MTLS_CERT_FINGERPRINTS',
+    'TENANT_PROFILES',
+];
+
+/** @private */
+const SECRET_NAME_PATTERN = /SECRET|PASSWORD|PRIVATE|CREDENTIAL/i;
+
+/**
+ * The analytics roles a profile may point at another binding.
+ * @type {string[]}
+ */
+const DATASET_ROLES = ['STATS_CLIENT', 'STATS_SESSION', 'STATS_EVENTS', 'STATS_BOTS', 'STATS_RISK', 'STATS_CUSTOM'];
+
+/** @private */
+const TENANT_NAME_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+
+/**
+ * A cache of parsed profiles and derived environments, keyed by the raw
+ * `TENANT_PROFILES` string.
+ * @type {Map<string, {profiles: Map<string, TenantProfile>, envs: WeakMap<object, Map<string, object>>}>}
+ */
+const parsedProfiles = new Map();
+
+/**
+ * @typedef {object} TenantProfile
+ * @property {string} name - The tenant name, used to namespace Durable Objects.
+ * @property {string[]} hosts - Hostnames served by the tenant; `*.` matches any subdomain.
+ * @property {Object<string, string|number|boolean>} vars - Overrides for the worker's plain, unprotected variables.
+ * @property {Object<string, string>} datasets - Analytics role to binding name, e.g. `{STATS_EVENTS: "SHOP_EVENTS"}`.
+ */
+
+/**
+ * Parses `TENANT_PROFILES`. Invalid tenants, non-primitive variables and
+ * protected variables are skipped.
+ * @param {string | undefined} value - The raw JSON.
+ * @returns {Map<string, TenantProfile>} The profiles by name.
+ */
+export function parseTenantProfiles(value) {
+    const profiles = new Map();
+    if (!value) return profiles;
+    let raw;
+    try {
+        raw = JSON.parse(value);
+    } catch (error) {
+        console.error('TENANT_PROFILES is not valid JSON:', error);
+        return profiles;
+    }
+    for (const [name, profile] of Object.entries(raw || {})) {
+        if (!TENANT_NAME_PATTERN.test(name) || typeof profile !== 'object' || profile === null) continue;
+        const vars = Object.fromEntries(Object.entries(profile.vars || {})
+            .filter(([varName, varValue]) => {
+                if (!PROTECTED_VARS.includes(varName) && !SECRET_NAME_PATTERN.test(varName)) {
+                    return ['string', 'number', 'boolean'].includes(typeof varValue);
+                }
+                console.error(`Tenant "${name}" may not override ${varName}; ignoring it.`);
+                return false;
+            }));
+        const datasets = Object.fromEntries(Object.entries(profile.datasets || {})
+            .filter(([role, binding]) => DATASET_ROLES.includes(role) && typeof binding === 'string'));
+        const hosts = (Array.isArray(profile.hosts) ? profile.hosts : []).map(host => String(host).toLowerCase());
+        profiles.set(name, {name, hosts, vars, datasets});
+    }
+    return profiles;
+}
+
+/** @private */
+const getParsed = (env) => {
+    const raw = env.TENANT_PROFILES || '';
+    if (!parsedProfiles.has(raw)) {
+        parsedProfiles.set(raw, {profiles: parseTenantProfiles(raw), envs: new WeakMap()});
+    }
+    return parsedProfiles.get(raw);
+};
+
+/** @private */
+const matchesHost = (pattern, hostname) => pattern.startsWith('*.')
+    ? hostname.endsWith(pattern.slice(1))
+    : pattern === hostname;
+
+/**
+ * Builds the environment of a tenant: the worker's environment with the
+ * profile's variables and dataset bindings applied. A variable never
+ * replaces a binding.
+ * @param {object} env - The worker's environment.
+ * @param {string | null} tenant - The tenant name, or null for the default configuration.
+ * @returns {object} The tenant's environment.
+ * @throws {Error} If no profile with that name is configured.
+ */
+export function tenantEnv(env, tenant) {
+    if (!tenant) return env;
+    const {profiles, envs} = getParsed(env);
+    const profile = profiles.get(tenant);
+    if (!profile) {
+        throw new Error(`Unknown tenant "${tenant}".`);
+    }
+    if (!envs.has(env)) envs.set(env, new Map());
+    const cache = envs.get(env);
+    if (!cache.has(tenant)) {
+        const datasets = Object.fromEntries(Object.entries(profile.datasets).map(([role, binding]) => [role, env[binding]]));
+        const vars = Object.fromEntries(Object.entries(profile.vars)
+            .filter(([varName]) => env[varName] === undefined || typeof env[varName] !== 'object'));
+        cache.set(tenant, {...env, ...vars, ...datasets});
+    }
+    return cache.get(tenant);
+}
+
+/**
+ * Resolves which tenant a request belongs to: the explicit tenant if given,
+ * otherwise the first profile whose hosts match the request's hostname.
+ * @param {object} env - The worker's environment.
+ * @param {Request} request - The incoming request.
+ * @param {string} [tenant] - An explicit tenant name, e.g. the `tenant` option of `processSession`.
+ * @returns {{tenant: string | null, env: object}} The tenant name (null for the default) and its environment.
+ * @throws {Error} If an explicit tenant is not configured.
+ */
+export function resolveTenant(env, request, tenant) {
+    if (tenant) return {tenant, env: tenantEnv(env, tenant)};
+    const hostname = new URL(request.url).hostname.toLowerCase();
+    for (const profile of getParsed(env).profiles.values()) {
+        if (profile.hosts.some(pattern => matchesHost(pattern, hostname))) {
+            return {tenant: profile.name, env: tenantEnv(env, profile.name)};
+        }
+    }
+    return {tenant: null, env};
+}
+
+/**
+ * Namespaces a Durable Object name (a cID, fingerprint key or user ID) by tenant.
+ * @param {string | null} tenant - The tenant name, or null for the default configuration.
+ * @param {string} name - The un-namespaced name.
+ * @returns {string} The Durable Object name.
+ * @throws {Error} If the name contains `TENANT_SEPARATOR`.
+ */
+export function tenantDoName(tenant, name) {
+    if (String(name).includes(TENANT_SEPARATOR)) {
+        // Otherwise the default tenant's "shop:123" would be tenant "shop"'s "123".
+        throw new Error(`Durable Object names may not contain "${TENANT_SEPARATOR}".`);
+    }
+    return tenant ? `${tenant}${TENANT_SEPARATOR}${name}` : name;
+}
@@ -0,0 +1,144 @@
+/*
+ * =============================================================================
+ * FILE: src/sdk/client.mjs
+ *
+ * DESCRIPTION:
+ * The browser side of the session SDK. `browserSdk` is never called in the
+ * worker: its source is serialized into `/session.js` together with the
+ * configuration it needs, so it must not reference anything outside itself.
+ * It reads the JS-readable (`_cs_`) cookies, decodes pushID timestamps, and
+ * beacons batches of page and custom events to `/collect`.
+ * =============================================================================
+ */
+
+/**
+ * @typedef {object} BrowserSdkConfig
+ * @property {string} version - The SDK version.
+ * @property {string} alphabet - The pushID character set, for decoding timestamps.
+ * @property {{cID: string|null, sID: string|null, uID: string|null}} cookies - The full names of the
+ * JS-readable cookies (null when that identifier has no client copy).
+ * @property {{cID: string, sID: string, uID: string}} keys - The identifier keys inside the envelope.
+ * @property {string | null} envelope - The full name of the envelope's JS-readable copy, if any.
+ * @property {string} collectPath - The path of the collect endpoint, relative to the script.
+ * @property {boolean} pageview - Whether to report the page load.
+ * @property {number} batchSize - The most events sent in one beacon.
+ * @property {number} flushInterval - How long events wait for a batch, in milliseconds.
+ */
+
+/**
+ * Installs `window.DivortioSession`. Runs in the browser.
+ * @param {BrowserSdkConfig} config - Serialized into the script by `sdkScript`.
+ * @returns {void}
+ */
+export function browserSdk(config) {
+    if (window.DivortioSession) return;
+
+    const script = document.currentScript;
+    const dataset = (script && script.dataset) || {};
+    const collectUrl = new URL(config.collectPath, script && script.src ? script.src : location.href).href;
+    const reportPageview = dataset.pageview !== undefined ? dataset.pageview !== 'false' : config.pageview;
+    const chars = {};
+    for (let i = 0; i < config.alphabet.length; i++) chars[config.alphabet[i]] = i;
+
+    const readCookie = (name) => {
+        if (!name) return null;
+        for (const part of document.cookie.split(';')) {
+            const separator = part.indexOf('=');
+            if (separator > 0 && part.slice(0, separator).trim() === name) {
+                return decodeURIComponent(part.slice(separator + 1).trim());
+            }
+        }
+        return null;
+    };
+
+    // Signed values are `<value>.<keyId>.<signature>`; IDs never contain a dot.
+    const unsign = (value) => value ? value.split('.')[0] : null;
+
+    const readEnvelope = () => {
+        const value = unsign(readCookie(config.envelope));
+        if (!value) return null;
+        try {
+            const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+            return JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0))));
+        } catch {
+            return null;
+        }
+    };
+
+    const getId = (id) => {
+        const envelope = readEnvelope();
+        if (envelope) return envelope[config.keys[id]] || null;
+        return unsign(readCookie(config.cookies[id]));
+    };
+
+    const decodeTime = (id) => {
+        if (typeof id !== 'string') return null;
+        const parts = id.split('-');
+        const encoded = parts.length === 3 ? parts[0] : id.slice(0, 8);
+        if (encoded.length === 0) return null;
+        let timestamp = 0;
+        for (const char of encoded) {
+            if (chars[char] === undefined) return null;
+            timestamp = timestamp * 64 + chars[char];
+        }
+        return timestamp;
+    };
+
+    // Events are batched into one beacon, flushed after a short delay, when
+    // the batch is full, or as the page is hidden (it may never be shown again).
+    let queue = [];
+    let flushTimer = null;
+    const flush = () => {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+        if (queue.length === 0) return;
+        const body = JSON.stringify({events: queue});
+        queue = [];
+        const queued = navigator.sendBeacon && navigator.sendBeacon(collectUrl, body);
+        if (!queued) {
+            fetch(collectUrl, {method: 'POST', body, keepalive: true, credentials: 'include'}).catch(() => {});
+        }
+    };
+
+    // Only navigations carry a referrer, so other events never look like a new campaign.
+    const send = (type, referrer = null, details = {}) => {
+        queue.push({type, url: location.href, referrer, ...details});
+        if (queue.length >= config.batchSize) flush();
+        else if (flushTimer === null) flushTimer = setTimeout(flush, config.flushInterval);
+    };
+
+    let lastUrl = location.href;
+    const onRouteChange = () => {
+        if (location.href === lastUrl) return;
+        // The previous URL is the referrer of a client-side navigation.
+        send('route_change', lastUrl);
+        lastUrl = location.href;
+    };
+    for (const method of ['pushState', 'replaceState']) {
+        const original = history[method];
+        history[method] = function (...args) {
+            const result = original.apply(this, args);
+            onRouteChange();
+            return result;
+        };
+    }
+    addEventListener('popstate', onRouteChange);
+    document.addEventListener('visibilitychange', () => {
+        const isHidden = document.visibilityState === 'hidden';
+        send(isHidden ? 'page_hidden' : 'page_visible');
+        if (isHidden) flush();
+    });
+    if (reportPageview) send('pageview', document.referrer || null);
+
+    window.DivortioSession = {
+        version: config.version,
+        getClientId: () => getId('cID'),
+        getSessionId: () => getId('sID'),
+        getUserId: () => getId('uID'),
+        decodeTime,
+        getClientCreatedAt: () => decodeTime(getId('cID')),
+        getSessionStartedAt: () => decodeTime(getId('sID')),
+        track: (name, properties = {}, value = null) => send('custom', null, {name, properties, value}),
+        flush,
+    };
+}
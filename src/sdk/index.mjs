@@ -0,0 +1,251 @@
+/*
+ * =============================================================================
+ * FILE: src/sdk/index.mjs
+ *
+ * DESCRIPTION:
+ * Serves the browser SDK and the endpoint it reports to. `/session.js` is
+ * built from `client.mjs` with the caller's (tenant's) cookie names baked in,
+ * and `/collect` turns the SDK's page and custom events into real events, each
+ * recorded with a new eID and its event type.
+ *
+ * Both routes must be served on (or proxied under) the site's own origin so
+ * that the browser sends the session cookies with them.
+ * =============================================================================
+ */
+
+import {browserSdk} from './client.mjs';
+import {cookieStorageFromEnv} from '../lib/cookieStorage.mjs';
+import {resolveTenant} from '../lib/tenants.mjs';
+import {errorResponse} from '../lib/httpResponses.mjs';
+import {EVENT_TYPE} from '../lib/eventHistory.mjs';
+import {normalizeCustomEvent} from '../lib/customEvents.mjs';
+import {pushID} from '../lib/pushID.js';
+import {CID_COOKIE, SID_COOKIE, UID_COOKIE} from '../lib/constants.mjs';
+
+/**
+ * The SDK version, sent as `X-Session-SDK-Version` and exposed as `DivortioSession.version`.
+ * @type {string}
+ */
+export const SDK_VERSION = '1.1.0';
+
+/** The path the SDK is served from. */
+export const SDK_PATH = '/session.js';
+
+/** The path the SDK reports events to. */
+export const COLLECT_PATH = '/collect';
+
+/**
+ * The event types the SDK may report.
+ * @type {string[]}
+ */
+const SDK_EVENT_TYPES = [EVENT_TYPE.PAGEVIEW, EVENT_TYPE.ROUTE_CHANGE, EVENT_TYPE.PAGE_HIDDEN, EVENT_TYPE.PAGE_VISIBLE];
+
+/**
+ * The largest body `navigator.sendBeacon` sends.
+ * @private
+ */
+const MAX_COLLECT_BYTES = 64 * 1024;
+
+/** @private */
+const MAX_BATCH_EVENTS = 25;
+
+/** @private */
+const FLUSH_INTERVAL_MS = 1000;
+
+/** @private */
+const ERROR_CODE = {
+    METHOD_NOT_ALLOWED: 'method_not_allowed',
+    PAYLOAD_TOO_LARGE: 'payload_too_large',
+    BAD_REQUEST: 'bad_request',
+    RATE_LIMITED: 'rate_limited',
+    INTERNAL: 'internal_error',
+};
+
+/**
+ * Builds the SDK script for an environment.
+ * @param {object} env - The worker's (or a tenant's) environment.
+ * @returns {string} The script source.
+ */
+export function sdkScript(env) {
+    const storage = cookieStorageFromEnv(env);
+    const keys = {
+        cID: env.CID_COOKIE_NAME || CID_COOKIE,
+        sID: env.SID_COOKIE_NAME || SID_COOKIE,
+        uID: env.UID_COOKIE_NAME || UID_COOKIE,
+    };
+    const config = {
+        version: SDK_VERSION,
+        alphabet: pushID.alphabet,
+        cookies: Object.fromEntries(Object.entries(keys).map(([id, key]) => [id, storage.clientName(key)])),
+        keys,
+        envelope: storage.envelopeName ? storage.clientName(storage.envelopeName) : null,
+        collectPath: COLLECT_PATH.slice(1),
+        pageview: String(env.SDK_PAGEVIEW) === 'true',
+        batchSize: MAX_BATCH_EVENTS,
+        flushInterval: FLUSH_INTERVAL_MS,
+    };
+    return `/*! divortio-session-sdk v${SDK_VERSION} */\n(${browserSdk.toString()})(${JSON.stringify(config)});\n`;
+}
+
+/**
+ * Serves `/session.js`, with an ETag so browsers revalidate cheaply.
+ * @param {Request} request - The incoming request.
+ * @param {object} env - The worker's environment.
+ * @returns {Response} The script, or 304 if the browser's copy is current.
+ */
+export function handleSdkRequest(request, env) {
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+        return errorResponse(405, ERROR_CODE.METHOD_NOT_ALLOWED, `${request.method} is not allowed on ${SDK_PATH}.`, {
+            Allow: 'GET, HEAD',
+        });
+    }
+    let script;
+    try {
+        script = sdkScript(resolveTenant(env, request).env);
+    } catch (err) {
+        console.error('Failed to build the session SDK:', err);
+        return errorResponse(500, ERROR_CODE.INTERNAL, 'The SDK could not be built.');
+    }
+    const headers = {
+        'Cache-Control': 'public, max-age=3600',
+        'ETag': `"${pushID.hash(script, 16)}"`,
+        'X-Session-SDK-Version': SDK_VERSION,
+    };
+    if (request.headers.get('If-None-Match') === headers.ETag) {
+        return new Response(null, {status: 304, headers});
+    }
+    return new Response(request.method === 'HEAD' ? null : script, {
+        headers: {...headers, 'Content-Type': 'application/javascript; charset=utf-8'},
+    });
+}
+
+/**
+ * Validates one event of a `/collect` body.
+ * @private
+ * @param {object} body - `{type, url, referrer?}`, plus `{name, properties?, value?}` for custom events.
+ * @returns {{type: string, url: URL, referrer: string|null, custom: object|null}} The event.
+ * @throws {Error} If the event is invalid.
+ */
+const parseCollectEvent = (body) => {
+    if (!body || (!SDK_EVENT_TYPES.includes(body.type) && body.type !== EVENT_TYPE.CUSTOM)) {
+        throw new Error(`Event types are ${[...SDK_EVENT_TYPES, EVENT_TYPE.CUSTOM].join(', ')}.`);
+    }
+    let url;
+    try {
+        url = new URL(body.url);
+    } catch {
+        throw new Error('Every event needs the absolute `url` of its page.');
+    }
+    return {
+        type: body.type,
+        url,
+        referrer: typeof body.referrer === 'string' ? body.referrer : null,
+        custom: body.type === EVENT_TYPE.CUSTOM ? normalizeCustomEvent(body) : null,
+    };
+};
+
+/**
+ * Applies `Set-Cookie` headers to a `Cookie` header, so later events of a
+ * batch carry the identifiers issued for earlier ones.
+ * @private
+ * @param {string | null} cookieHeader - The request's `Cookie` header.
+ * @param {string[]} setCookieHeaders - The headers issued for an event.
+ * @returns {string} The updated `Cookie` header.
+ */
+const applySetCookies = (cookieHeader, setCookieHeaders) => {
+    const cookies = new Map((cookieHeader || '').split(';').map(part => part.trim()).filter(Boolean)
+        .map(part => [part.split('=')[0], part.slice(part.indexOf('=') + 1)]));
+    for (const header of setCookieHeaders) {
+        const [pair, ...attributes] = header.split(';');
+        const name = pair.split('=')[0].trim();
+        if (attributes.some(attribute => attribute.trim().toLowerCase() === 'max-age=0')) cookies.delete(name);
+        else cookies.set(name, pair.slice(pair.indexOf('=') + 1));
+    }
+    return [...cookies].map(([name, value]) => `${name}=${value}`).join('; ');
+};
+
+/**
+ * Serves `/collect`: records a single event, or a `{"events": [...]}` batch
+ * in order. Page events run through `processSession` as requests to the page
+ * they happened on; custom events go to `trackEvent`. Page URLs are rebased
+ * onto the collect request's own origin, so an event can't be attributed to
+ * another host (or tenant).
+ *
+ * @param {Request} request - The SDK's POST request.
+ * @param {{processSession: Function, trackEvent: Function}} service - The worker's RPC entrypoint.
+ * @returns {Promise<Response>} 204 with the sessions' `Set-Cookie` headers, or a JSON error.
+ */
+export async function handleCollect(request, service) {
+    if (request.method !== 'POST') {
+        return errorResponse(405, ERROR_CODE.METHOD_NOT_ALLOWED, `${request.method} is not allowed on ${COLLECT_PATH}.`, {
+            Allow: 'POST',
+        });
+    }
+    if (Number(request.headers.get('Content-Length')) > MAX_COLLECT_BYTES) {
+        return errorResponse(413, ERROR_CODE.PAYLOAD_TOO_LARGE, `Bodies are limited to ${MAX_COLLECT_BYTES} bytes.`);
+    }
+    const text = await request.text();
+    if (text.length > MAX_COLLECT_BYTES) {
+        return errorResponse(413, ERROR_CODE.PAYLOAD_TOO_LARGE, `Bodies are limited to ${MAX_COLLECT_BYTES} bytes.`);
+    }
+
+    let events;
+    try {
+        // `sendBeacon` posts JSON as `text/plain`, so the content type is not checked.
+        const body = JSON.parse(text);
+        const batch = Array.isArray(body?.events) ? body.events : [body];
+        if (batch.length === 0 || batch.length > MAX_BATCH_EVENTS) {
+            throw new Error(`A batch holds 1 to ${MAX_BATCH_EVENTS} events.`);
+        }
+        events = batch.map(parseCollectEvent);
+    } catch (err) {
+        return errorResponse(400, ERROR_CODE.BAD_REQUEST, err instanceof SyntaxError ? 'The body is not valid JSON.' : err.message);
+    }
+
+    // Every event is processed like a request of its own, so a batch counts as that many.
+    const policyName = resolveTenant(service.env, request).env.COLLECT_RATE_LIMIT;
+    if (policyName) {
+        let limit = null;
+        try {
+            limit = await service.checkRateLimit(request, policyName, events.length);
+        } catch (err) {
+            console.error(`Rate limit check for ${COLLECT_PATH} failed:`, err);
+        }
+        if (limit && !limit.allowed) {
+            return errorResponse(429, ERROR_CODE.RATE_LIMITED, `Too many events; retry in ${limit.retryAfter}s.`, limit.headers);
+        }
+    }
+
+    const headers = new Headers(request.headers);
+    headers.delete('Content-Type');
+    headers.delete('Content-Length');
+    const setCookieHeaders = [];
+    try {
+        for (const event of events) {
+            const eventHeaders = new Headers(headers);
+            if (event.referrer) eventHeaders.set('Referer', event.referrer);
+            else eventHeaders.delete('Referer');
+            const eventRequest = new Request(new URL(event.url.pathname + event.url.search, request.url), {
+                method: 'GET',
+                headers: eventHeaders,
+                cf: request.cf,
+            });
+
+            if (event.custom) {
+                await service.trackEvent(eventRequest, event.custom);
+                continue;
+            }
+            const enriched = await service.processSession(eventRequest, {eventType: event.type});
+            const cookies = enriched.session.setCookieHeaders || [];
+            setCookieHeaders.push(...cookies);
+            if (cookies.length > 0) headers.set('Cookie', applySetCookies(headers.get('Cookie'), cookies));
+        }
+    } catch (err) {
+        console.error(`Failed to record a batch of ${events.length} events:`, err);
+        return errorResponse(500, ERROR_CODE.INTERNAL, 'The events could not be recorded.');
+    }
+
+    const response = new Response(null, {status: 204, headers: {'Cache-Control': 'no-store'}});
+    setCookieHeaders.forEach(cookie => response.headers.append('Set-Cookie', cookie));
+    return response;
+}
@@ -4,43 +4,152 @@
  *
  * DESCRIPTION:
  * Defines the `SessionDO` class, a stateful service responsible for the
- * complete lifecycle of a user session. This version is simplified to rely on
- * the automatic table management of the SQLite-backed KV API.
+ * complete lifecycle of a user session. State is kept in a versioned SQLite
+ * schema (clients, sessions, events and attributes tables) that is migrated
+ * on construction, before any request is served.
  * =============================================================================
  */
 
 import {DurableObject} from "cloudflare:workers";
 import {sessionManager} from './lib/sessionManager.js';
-import {cookieStorage} from './lib/cookieStorage.mjs';
+import {getCampaign, policyConfigFromEnv, SESSION_END_REASON} from './lib/sessionPolicies.mjs';
+import {cookieStorageFromEnv} from './lib/cookieStorage.mjs';
+import {needsReissue, signerFromEnv, SIGNATURE_STATUS} from './lib/cookieSigner.mjs';
 import {enrichRequest} from './lib/enrichRequest.mjs';
-import {CID_COOKIE, EID_COOKIE, SID_COOKIE} from './lib/constants.mjs';
+import {sessionDataStore} from './lib/sessionData.mjs';
+import {eventHistory, EVENT_TYPE} from './lib/eventHistory.mjs';
+import {sessionStore} from './lib/sessionStore.mjs';
+import {runMigrations} from './lib/migrations.mjs';
+import {rateLimiter, getRateLimitPolicy, rateLimitHeaders} from './lib/rateLimiter.mjs';
+import {
+    resolveConsent,
+    consentConfigFromEnv,
+    formatConsentCookie,
+    consentCookieHeader,
+    CONSENT_CATEGORY,
+    CONSENT_MODE,
+    CONSENT_SOURCE,
+} from './lib/consent.mjs';
+import {csrfTokensMatch, generateCsrfToken, CSRF_RESULT} from './lib/csrf.mjs';
+import {
+    getRawFingerprintData,
+    createStableDurableObjectKey,
+    getFingerprintComponents,
+    getUserAgentFamily,
+} from './lib/fingerprint.mjs';
+import {evaluateRisk, getRiskSignals, riskConfigFromEnv, RISK_ACTION} from './lib/hijackDetection.mjs';
+import {fingerprintHistory} from './lib/fingerprintHistory.mjs';
+import {tenantEnv, tenantDoName, TENANT_SEPARATOR} from './lib/tenants.mjs';
+import {sessionTokenConfigFromEnv, readSessionToken, createSessionToken, verifySessionToken} from './lib/sessionToken.mjs';
+import {
+    CID_COOKIE,
+    CSRF_COOKIE,
+    EID_COOKIE,
+    ERASURE_LOG_NAME,
+    FPID_COOKIE,
+    SID_COOKIE,
+    UID_COOKIE,
+} from './lib/constants.mjs';
+
+/**
+ * How long a user's linked-client list is cached in memory before it is
+ * re-read from the `UserDO`.
+ * @type {number}
+ */
+const LINKED_CLIENTS_CACHE_MS = 60 * 1000;
 
 export class SessionDO extends DurableObject {
     constructor(ctx, env) {
         super(ctx, env);
         this.ctx = ctx;
-        this.env = env;
+        this.baseEnv = env;
+        this.tenant = null;
         this.inMemoryState = null;
-        this.storageHelper = cookieStorage({
-            appPrefix: this.env.COOKIE_APP_PREFIX,
-            serverPrefix: this.env.SERVER_COOKIE_PREFIX,
-            clientPrefix: this.env.CLIENT_COOKIE_PREFIX,
+        this.linkedClientsCache = null;
+        this.lastConsent = null;
+        this.store = sessionStore(this.ctx.storage);
+        this.rateLimiter = rateLimiter(this.ctx.storage.sql);
+        this.configure(env);
+
+        this.ctx.blockConcurrencyWhile(async () => {
+            runMigrations(this.ctx.storage);
+            if (this.store.loadState().cID === null) {
+                await this.store.importLegacyState();
+            }
+            try {
+                this.useTenant(this.store.getTenant());
+            } catch (error) {
+                console.error(`SessionDO [${this.ctx.id.toString()}] failed to load its tenant profile:`, error);
+            }
         });
-        this.manager = sessionManager();
+    }
+
+    configure(env) {
+        this.env = env;
+        this.signer = signerFromEnv(this.env);
+        this.storageHelper = cookieStorageFromEnv(this.env, this.signer);
+        this.policyConfig = policyConfigFromEnv(this.env);
+        this.manager = sessionManager(this.policyConfig);
+        this.consentConfig = consentConfigFromEnv(this.env);
+        this.tokenConfig = sessionTokenConfigFromEnv(this.env);
+        this.dataStore = sessionDataStore(this.ctx.storage.sql, {
+            maxValueBytes: parseInt(this.env.SESSION_DATA_MAX_VALUE_BYTES, 10) || 8192,
+            maxKeys: parseInt(this.env.SESSION_DATA_MAX_KEYS, 10) || 128,
+        });
+        this.history = eventHistory(this.ctx.storage.sql, {
+            maxEvents: parseInt(this.env.EVENT_HISTORY_MAX_EVENTS, 10) || 1000,
+            retentionMs: (parseInt(this.env.DO_TTL_SECONDS, 10) || 0) * 1000,
+        });
+        this.riskConfig = riskConfigFromEnv(this.env);
+        this.fingerprints = fingerprintHistory(this.ctx.storage.sql, {
+            maxEntries: parseInt(this.env.FP_HISTORY_SIZE, 10) || 5,
+        });
+    }
+
+    useTenant(tenant) {
+        if (!tenant || tenant === this.tenant) return;
+        // Every Durable Object serves one tenant, so its configuration is swapped once.
+        this.configure(tenantEnv(this.baseEnv, tenant));
+        this.tenant = tenant;
+    }
+
+    stubName(name) {
+        return tenantDoName(this.tenant, name);
     }
 
     async alarm() {
         try {
             await this.ctx.storage.deleteAll();
+            this.inMemoryState = null;
+            this.linkedClientsCache = null;
+            this.lastConsent = null;
+            // deleteAll() also drops the SQL tables; recreate them in case this instance stays alive.
+            runMigrations(this.ctx.storage);
             console.log(`SessionDO [${this.ctx.id.toString()}] storage deleted due to inactivity.`);
         } catch (error) {
             console.error(`SessionDO [${this.ctx.id.toString()}] failed to delete storage in alarm:`, error);
         }
     }
 
-    async setTtlAlarm() {
+    ttlSeconds() {
+        if (this.store.getHandoff()) {
+            // A cookieless client without its token is routed by its fingerprint alone, for as long as it lives.
+            if (this.store.isCookielessHandoff()) return this.cookielessTtlSeconds();
+            // Once its client has moved to the cID-named DO, a bootstrap DO only lingers to route stragglers.
+            return parseInt(this.env.BOOTSTRAP_TTL_SECONDS, 10) || 1800;
+        }
+        // Without consent the client is kept no longer than its session can last.
+        const sessionSeconds = Math.ceil(this.policyConfig.sessionTimeout / 1000);
+        if (!this.isTrackingAllowed() && sessionSeconds > 0) return sessionSeconds;
+        return parseInt(this.env.DO_TTL_SECONDS, 10);
+    }
+
+    cookielessTtlSeconds() {
+        return parseInt(this.env.COOKIELESS_TTL_SECONDS, 10) || parseInt(this.env.DO_TTL_SECONDS, 10);
+    }
+
+    async setTtlAlarm(ttlSeconds = this.ttlSeconds()) {
         try {
-            const ttlSeconds = parseInt(this.env.DO_TTL_SECONDS, 10);
             if (ttlSeconds && ttlSeconds > 0) {
                 const triggerTime = Date.now() + ttlSeconds * 1000;
                 await this.ctx.storage.setAlarm(triggerTime);
@@ -56,84 +165,597 @@ export class SessionDO extends DurableObject {
         }
 
         try {
-            const storedState = await this.ctx.storage.get([CID_COOKIE, SID_COOKIE, EID_COOKIE]);
-            this.inMemoryState = {
-                cID: storedState.get(CID_COOKIE) || null,
-                sID: storedState.get(SID_COOKIE) || null,
-                eID: storedState.get(EID_COOKIE) || null,
-            };
+            this.inMemoryState = this.store.loadState();
         } catch (error) {
             console.error(`SessionDO [${this.ctx.id.toString()}] failed to get state:`, error);
-            this.inMemoryState = {cID: null, sID: null, eID: null};
+            this.inMemoryState = {cID: null, sID: null, eID: null, userId: null, campaign: null, fingerprint: null};
         }
 
         return this.inMemoryState;
     }
 
-    persistState(state) {
+    persistState(state, event = null) {
         this.inMemoryState = state;
         try {
-            this.ctx.storage.put(
-                {
-                    [CID_COOKIE]: state.cID,
-                    [SID_COOKIE]: state.sID,
-                    [EID_COOKIE]: state.eID,
-                },
-                {allowUnconfirmed: true}
-            );
+            this.store.saveClient(state);
+            if (event) {
+                this.store.recordSessionEvent(state, event.changes, event.previousSID);
+                if (event.bootstrapKey) this.store.setBootstrapKey(state.cID, event.bootstrapKey);
+                if (this.tenant) this.store.setTenant(state.cID, this.tenant);
+            }
         } catch (error) {
             console.error(`SessionDO [${this.ctx.id.toString()}] failed to persist state:`, error);
         }
     }
 
-    generateCookies(newState) {
+    isTrackingAllowed() {
+        // RPCs without a request fall back to the consent of the client's latest request.
+        if (this.lastConsent === null) {
+            try {
+                this.lastConsent = this.store.getLastConsent();
+            } catch (error) {
+                console.error(`SessionDO [${this.ctx.id.toString()}] failed to load consent:`, error);
+            }
+        }
+        if (this.lastConsent) return this.lastConsent.granted;
+        return this.consentConfig.mode !== CONSENT_MODE.OPT_IN;
+    }
+
+    rememberConsent(consent) {
+        this.lastConsent = consent;
+        try {
+            this.store.setLastConsent(consent);
+        } catch (error) {
+            console.error(`SessionDO [${this.ctx.id.toString()}] failed to store consent:`, error);
+        }
+    }
+
+    getCookieOptions(persistent = this.isTrackingAllowed()) {
         const sessionCookieSeconds = parseInt(this.env.SESSION_COOKIE_EXPIRATION_SECONDS, 10) || 31536000;
-        const cookieOptions = {
-            expires: new Date(Date.now() + sessionCookieSeconds * 1000),
-            domain: this.env.COOKIE_DOMAIN || undefined,
+        return {
+            // Without consent, identifiers are browser-session cookies only.
+            maxAge: persistent ? sessionCookieSeconds : undefined,
         };
-        return [
-            ...this.storageHelper.set(this.env.CID_COOKIE_NAME || CID_COOKIE, newState.cID, cookieOptions),
-            ...this.storageHelper.set(this.env.SID_COOKIE_NAME || SID_COOKIE, newState.sID, cookieOptions),
-            ...this.storageHelper.set(this.env.EID_COOKIE_NAME || EID_COOKIE, newState.eID, cookieOptions),
+    }
+
+    async generateCookies(newState, {clearUserCookie = false, csrfToken = null, cookieHeader = null} = {}) {
+        const persistent = this.isTrackingAllowed();
+        const cookieOptions = this.getCookieOptions(persistent);
+        // The token is signed when it is issued, so the cookie holds exactly what clients submit.
+        const csrfCookie = csrfToken ? this.storageHelper.set(this.env.CSRF_COOKIE_NAME || CSRF_COOKIE, csrfToken, cookieOptions) : [];
+        if (this.storageHelper.envelopeName) {
+            const values = {
+                [this.env.CID_COOKIE_NAME || CID_COOKIE]: newState.cID,
+                [this.env.SID_COOKIE_NAME || SID_COOKIE]: newState.sID,
+                [this.env.EID_COOKIE_NAME || EID_COOKIE]: newState.eID,
+                [this.env.UID_COOKIE_NAME || UID_COOKIE]: newState.userId || null,
+                [this.env.FPID_COOKIE_NAME || FPID_COOKIE]: newState.fingerprint || null,
+                // Whether the cookies are persistent, so a change of consent is never skipped.
+                p: persistent ? 1 : 0,
+            };
+            if (cookieHeader && String(this.env.COOKIE_SKIP_EID_ONLY) === 'true'
+                && await this.isEnvelopeCurrent(values, cookieHeader, csrfToken)) {
+                return [];
+            }
+            const headers = await this.storageHelper.setEnvelope(values, cookieOptions);
+            return [...headers, ...csrfCookie, ...this.storageHelper.clearLegacy(cookieHeader)];
+        }
+
+        const pending = [
+            this.storageHelper.setSigned(this.env.CID_COOKIE_NAME || CID_COOKIE, newState.cID, cookieOptions),
+            this.storageHelper.setSigned(this.env.SID_COOKIE_NAME || SID_COOKIE, newState.sID, cookieOptions),
+            this.storageHelper.setSigned(this.env.EID_COOKIE_NAME || EID_COOKIE, newState.eID, cookieOptions),
         ];
+        // A null value produces an expired cookie, which clears the user binding.
+        if (newState.userId || clearUserCookie) {
+            pending.push(this.storageHelper.setSigned(this.env.UID_COOKIE_NAME || UID_COOKIE, newState.userId || null, cookieOptions));
+        }
+        const headers = await Promise.all(pending);
+        return [...headers.flat(), ...csrfCookie];
     }
 
-    async processSession(request, doName, fpID) {
+    async isEnvelopeCurrent(values, cookieHeader, csrfToken) {
+        const sent = await this.storageHelper.getEnvelope(cookieHeader);
+        if (!sent || needsReissue(sent.status) || sent.status === SIGNATURE_STATUS.INVALID) return false;
+        if (csrfToken && this.storageHelper.get(this.env.CSRF_COOKIE_NAME || CSRF_COOKIE, cookieHeader) !== csrfToken) return false;
+        // Only the eID may differ: it is the one identifier that changes on every request.
+        const eIDKey = this.env.EID_COOKIE_NAME || EID_COOKIE;
+        const keys = new Set([...Object.keys(values), ...Object.keys(sent.values)]);
+        keys.delete(eIDKey);
+        return [...keys].every(key => (values[key] ?? null) === (sent.values[key] ?? null));
+    }
+
+    async readCookieState(request) {
+        const cookieHeader = request.headers.get('Cookie');
+        const [cID, sID, eID, userId] = await Promise.all([
+            this.storageHelper.getVerified(this.env.CID_COOKIE_NAME || CID_COOKIE, cookieHeader),
+            this.storageHelper.getVerified(this.env.SID_COOKIE_NAME || SID_COOKIE, cookieHeader),
+            this.storageHelper.getVerified(this.env.EID_COOKIE_NAME || EID_COOKIE, cookieHeader),
+            this.storageHelper.getVerified(this.env.UID_COOKIE_NAME || UID_COOKIE, cookieHeader),
+        ]);
+        if (!cID.value) {
+            // Cookieless clients carry the same identifiers in their session token.
+            const token = await verifySessionToken(this.signer, readSessionToken(request, this.tokenConfig));
+            if (token) return {...token, csrfToken: null, verified: true};
+        }
+        return {
+            cID: cID.value,
+            sID: sID.value,
+            eID: eID.value,
+            userId: userId.value,
+            csrfToken: this.storageHelper.get(this.env.CSRF_COOKIE_NAME || CSRF_COOKIE, cookieHeader),
+            verified: cID.status !== SIGNATURE_STATUS.INVALID && cID.status !== SIGNATURE_STATUS.MISSING,
+        };
+    }
+
+    async getData(key, options = {}) {
+        const {sID} = await this.getState();
+        return this.dataStore.get(key, sID, options);
+    }
+
+    async getAllData() {
+        const {sID} = await this.getState();
+        return this.dataStore.getAll(sID);
+    }
+
+    async setData(key, value, options = {}) {
+        const {sID} = await this.getState();
+        await this.dataStore.set(key, value, sID, options);
         await this.setTtlAlarm();
-        let currentState = await this.getState();
+    }
 
+    async deleteData(key, options = {}) {
+        return this.dataStore.delete(key, options);
+    }
+
+    async getLinkedClients(userId) {
+        if (!userId || !this.env.USER_DO) return [];
+        const cache = this.linkedClientsCache;
+        if (cache && cache.userId === userId && Date.now() - cache.fetchedAt < LINKED_CLIENTS_CACHE_MS) {
+            return cache.clients;
+        }
+        try {
+            const clients = await this.env.USER_DO.getByName(this.stubName(userId)).getLinkedClients();
+            this.linkedClientsCache = {userId, clients, fetchedAt: Date.now()};
+            return clients;
+        } catch (error) {
+            console.error(`SessionDO [${this.ctx.id.toString()}] failed to load linked clients:`, error);
+            return cache?.userId === userId ? cache.clients : [];
+        }
+    }
+
+    async identify(userId, traits = {}) {
+        if (typeof userId !== 'string' || userId.length === 0 || userId.length > 256) {
+            throw new Error('A userId must be a non-empty string of at most 256 characters.');
+        }
+        if (userId.includes(TENANT_SEPARATOR)) {
+            throw new Error(`A userId may not contain "${TENANT_SEPARATOR}".`);
+        }
+        const state = await this.getState();
+        if (!state.cID) {
+            throw new Error('Cannot identify a client that has no session state.');
+        }
+
+        if (state.userId && state.userId !== userId) {
+            await this.env.USER_DO.getByName(this.stubName(state.userId)).unlink(state.cID);
+        }
+        const user = await this.env.USER_DO.getByName(this.stubName(userId)).link(state.cID, traits, this.tenant);
+        this.linkedClientsCache = {userId, clients: user.linkedClients, fetchedAt: Date.now()};
+        this.persistState({...state, userId});
+
+        return {
+            userId,
+            linkedClients: user.linkedClients,
+            traits: user.traits,
+            // The envelope holds every identifier, so the whole envelope is reissued.
+            setCookieHeaders: this.storageHelper.envelopeName
+                ? await this.generateCookies({...state, userId})
+                : await this.storageHelper.setSigned(this.env.UID_COOKIE_NAME || UID_COOKIE, userId, this.getCookieOptions()),
+        };
+    }
+
+    async logout({unlink = false} = {}) {
+        const state = await this.getState();
+        if (!state.cID) {
+            return {setCookieHeaders: []};
+        }
+
+        if (unlink && state.userId) {
+            await this.env.USER_DO.getByName(this.stubName(state.userId)).unlink(state.cID);
+        }
+
+        const {newState, changes} = this.manager.process({
+            storageHandler: {get: (key) => state[key] || null},
+            forceNewSession: SESSION_END_REASON.FORCED,
+        });
+        const loggedOutState = {...newState, userId: null, fingerprint: state.fingerprint};
+        this.linkedClientsCache = null;
+        this.persistState(loggedOutState, {changes, previousSID: state.sID});
+        await this.dataStore.clearSessionScope();
+        const csrfToken = await this.ensureCsrfToken(loggedOutState.sID);
+
+        return {
+            cID: loggedOutState.cID,
+            sID: loggedOutState.sID,
+            eID: loggedOutState.eID,
+            csrfToken,
+            setCookieHeaders: await this.generateCookies(loggedOutState, {clearUserCookie: true, csrfToken}),
+        };
+    }
+
+    async revokeSession(sID) {
+        if (!sID) throw new Error('A sID must be provided to revoke a session.');
+        const {cID} = await this.getState();
+        this.store.revokeSession(sID, cID);
+        await this.setTtlAlarm();
+        return {revoked: [sID]};
+    }
+
+    async revokeAllSessions() {
+        const revokedBefore = this.store.revokeAllSessions();
+        // The revocation must outlive the sessions it covers, even in an object without client state.
+        await this.setTtlAlarm();
+        return {revokedBefore};
+    }
+
+    recordEvent(request, state, fpID, type, details = {}) {
+        try {
+            const signals = getRiskSignals(request, getUserAgentFamily(request.headers.get('User-Agent')).family, state.eventTime.getTime());
+            this.history.record({
+                ...signals,
+                eID: state.eID,
+                sID: state.sID,
+                path: new URL(request.url).pathname,
+                method: request.method,
+                type,
+                ...details,
+                fpID,
+            });
+        } catch (error) {
+            console.error(`SessionDO [${this.ctx.id.toString()}] failed to record event:`, error);
+        }
+    }
+
+    assessRisk(request) {
+        const noRisk = {action: null, reasons: []};
+        if (this.riskConfig.rules.size === 0) return noRisk;
+        try {
+            const now = Date.now();
+            const current = getRiskSignals(request, getUserAgentFamily(request.headers.get('User-Agent')).family, now);
+            const recent = this.history.query({since: now - this.riskConfig.concurrentWindowMs, limit: 500}).events;
+            return evaluateRisk(current, this.history.latest(), recent, this.riskConfig);
+        } catch (error) {
+            console.error(`SessionDO [${this.ctx.id.toString()}] failed to assess risk:`, error);
+            return noRisk;
+        }
+    }
+
+    matchFingerprint(rawData, fpID, persist) {
+        try {
+            const components = getFingerprintComponents(rawData);
+            const match = this.fingerprints.match(components);
+            // Without consent the signals are compared but not kept.
+            if (persist) this.fingerprints.record(fpID, components);
+            return match;
+        } catch (error) {
+            console.error(`SessionDO [${this.ctx.id.toString()}] failed to match fingerprint:`, error);
+            return {similarity: null, changedComponents: []};
+        }
+    }
+
+    async ensureCsrfToken(sID, candidate = null) {
+        const existing = this.store.getCsrfToken(sID);
+        if (existing) return existing;
+
+        const cookieName = this.env.CSRF_COOKIE_NAME || CSRF_COOKIE;
+        let token;
+        // A verified token from the cookies carries a session over into a rehydrated instance.
+        if (candidate && (await this.signer.verify(cookieName, candidate)).value !== null) {
+            token = candidate;
+        } else {
+            token = await this.signer.sign(cookieName, generateCsrfToken());
+        }
+        this.store.setCsrfToken(sID, token);
+        return token;
+    }
+
+    async verifyCsrf(sID, token) {
+        const state = await this.getState();
+        if (!state.cID) return CSRF_RESULT.NO_SESSION;
+        // Only the current, unrevoked session's token is accepted; rotation invalidates older tokens.
+        if (sID !== state.sID || this.store.isRevoked(sID)) return CSRF_RESULT.MISMATCH;
+        return csrfTokensMatch(this.store.getCsrfToken(sID), token) ? CSRF_RESULT.VALID : CSRF_RESULT.MISMATCH;
+    }
+
+    async recordConsent(decision = {}) {
+        const categories = Array.isArray(decision.categories) ? decision.categories.map(String) : null;
+        if (!categories || categories.some(category => !Object.values(CONSENT_CATEGORY).includes(category))) {
+            throw new Error(`Consent categories must be an array of: ${Object.values(CONSENT_CATEGORY).join(', ')}.`);
+        }
+        const record = {
+            categories: [...new Set([CONSENT_CATEGORY.NECESSARY, ...categories])],
+            version: decision.version ? String(decision.version) : null,
+            source: decision.source ? String(decision.source) : 'api',
+        };
+        const {sID} = await this.getState();
+        const recordedAt = this.store.recordConsent(record, sID);
+        this.rememberConsent({
+            mode: this.consentConfig.mode,
+            granted: record.categories.includes(CONSENT_CATEGORY.ANALYTICS),
+            categories: record.categories,
+            source: CONSENT_SOURCE.COOKIE,
+            version: record.version,
+        });
+        await this.setTtlAlarm();
+
+        const consentSeconds = parseInt(this.env.CONSENT_COOKIE_EXPIRATION_SECONDS, 10) || 31536000;
+        return {
+            ...record,
+            recordedAt,
+            setCookieHeaders: [consentCookieHeader(this.consentConfig.cookieName, formatConsentCookie(record.categories, record.version), {
+                expires: new Date(recordedAt + consentSeconds * 1000),
+                domain: this.env.COOKIE_DOMAIN || undefined,
+            })],
+        };
+    }
+
+    async getConsentHistory() {
+        return this.store.getConsentHistory();
+    }
+
+    async inspect() {
+        const state = await this.getState();
+        const handedOffTo = this.store.getHandoff();
+        if (!state.cID && !handedOffTo) return null;
+        return {
+            cID: state.cID,
+            sID: state.sID,
+            eID: state.eID,
+            userId: state.userId,
+            tenant: this.tenant,
+            handedOffTo,
+            isRevoked: this.store.isRevoked(state.sID),
+            records: this.store.countRecords(),
+            sessions: this.store.listSessions(),
+        };
+    }
+
+    async exportData() {
+        const state = await this.getState();
+        return {
+            exportedAt: new Date().toISOString(),
+            cID: state.cID,
+            userId: state.userId,
+            ...this.store.exportAll(),
+        };
+    }
+
+    async erase({cascade = true} = {}) {
+        const state = await this.getState();
+        const summary = {records: this.store.countRecords(), bootstrapErased: false, userUnlinked: false};
+
+        if (cascade && state.cID) {
+            if (state.userId && this.env.USER_DO) {
+                await this.env.USER_DO.getByName(this.stubName(state.userId)).unlink(state.cID);
+                summary.userUnlinked = true;
+            }
+            const bootstrapKey = this.store.getBootstrapKey(state.cID);
+            if (bootstrapKey) {
+                await this.env.SESSION_DO.getByName(bootstrapKey).erase({cascade: false});
+                summary.bootstrapErased = true;
+            }
+        }
+
+        await this.ctx.storage.deleteAlarm();
+        await this.ctx.storage.deleteAll();
+        this.inMemoryState = null;
+        this.linkedClientsCache = null;
+        this.lastConsent = null;
+        runMigrations(this.ctx.storage);
+
+        let receipt = null;
+        if (cascade && this.env.AUDIT_DO) {
+            try {
+                receipt = await this.env.AUDIT_DO.getByName(ERASURE_LOG_NAME).recordErasure(summary);
+            } catch (error) {
+                console.error(`SessionDO [${this.ctx.id.toString()}] failed to log erasure:`, error);
+            }
+        }
+
+        const cookieNames = [
+            this.env.CID_COOKIE_NAME || CID_COOKIE,
+            this.env.SID_COOKIE_NAME || SID_COOKIE,
+            this.env.EID_COOKIE_NAME || EID_COOKIE,
+            this.env.UID_COOKIE_NAME || UID_COOKIE,
+            this.env.CSRF_COOKIE_NAME || CSRF_COOKIE,
+            this.env.FPID_COOKIE_NAME || FPID_COOKIE,
+        ];
+        if (this.storageHelper.envelopeName) cookieNames.push(this.storageHelper.envelopeName);
+        return {
+            ...summary,
+            receipt,
+            setCookieHeaders: cookieNames.flatMap(name => this.storageHelper.set(name, null)),
+        };
+    }
+
+    async getTimeline(query = {}) {
+        return this.history.query(query);
+    }
+
+    async trackEvent(request, sID, fpID, event, {tenant = null} = {}) {
+        this.useTenant(tenant);
+        const state = await this.getState();
+        // Custom events only attach to the current, unrevoked session; they never start one.
+        if (!state.cID || sID !== state.sID || this.store.isRevoked(sID)) return null;
+
+        const newState = this.manager.nextEvent(state);
+        this.persistState(newState, {changes: {isNewSession: false, sessionEndReason: null}, previousSID: state.sID});
+        if (this.isTrackingAllowed()) this.recordEvent(request, newState, fpID, EVENT_TYPE.CUSTOM, event);
+        await this.setTtlAlarm();
+        return {cID: newState.cID, sID: newState.sID, eID: newState.eID, timestamp: newState.eventTime.getTime()};
+    }
+
+    async checkRateLimit(policyName, key, cost = 1) {
+        const policy = getRateLimitPolicy(this.env, policyName);
+        const result = this.rateLimiter.check(policy, key, cost);
+        await this.setTtlAlarm();
+        return {...result, headers: rateLimitHeaders(result)};
+    }
+
+    async handOff(cID, {cookieless = false} = {}) {
+        try {
+            await this.env.SESSION_DO.getByName(this.stubName(cID)).acceptHandoff(this.store.dumpTables(), {cookieless});
+            this.store.markHandedOff(cID, cookieless);
+            this.inMemoryState = null;
+            this.linkedClientsCache = null;
+            await this.setTtlAlarm();
+        } catch (error) {
+            // The client stays here and is handed off on its next cookieless request.
+            console.error(`SessionDO [${this.ctx.id.toString()}] failed to hand off client ${cID}:`, error);
+        }
+    }
+
+    async acceptHandoff(tables, {cookieless = false} = {}) {
+        const {cID} = await this.getState();
+        // A client that already reached this DO (e.g. through its cookies) keeps its own state; only history is merged.
+        this.store.restoreTables(cID === null ? tables : {...tables, clients: []});
+        this.inMemoryState = null;
+        this.lastConsent = null;
+        // The restored client row carries the tenant, which the constructor found no row for. Apply it now, so
+        // RPCs that reach this client before its next request (identify, logout, erase...) run as that tenant.
+        try {
+            this.useTenant(this.store.getTenant());
+        } catch (error) {
+            console.error(`SessionDO [${this.ctx.id.toString()}] failed to load its tenant profile:`, error);
+        }
+        await this.setTtlAlarm(cookieless && this.isTrackingAllowed() ? this.cookielessTtlSeconds() : undefined);
+        return true;
+    }
+
+    async processSession(request, doName, fpID, isNewDoID, isNewFpID, options = {}) {
+        const {cookieless = false, tenant = null} = options;
+        this.useTenant(tenant);
+        const handedOffTo = isNewDoID ? this.store.getHandoff() : null;
+        if (handedOffTo) {
+            // A request without cookies for a client this bootstrap DO already handed off.
+            await this.setTtlAlarm();
+            const clientDoName = this.stubName(handedOffTo);
+            const forwarded = await this.env.SESSION_DO.getByName(clientDoName)
+                .processForwardedSession(request, clientDoName, fpID, isNewFpID, options);
+            if (forwarded) return forwarded;
+            // The client is bound to a user, so this request starts a new client here (and takes over the route).
+        }
+        const consent = resolveConsent(request, this.consentConfig);
+        this.rememberConsent(consent);
+        // Cookieless clients may never send their token back, so their state is kept for COOKIELESS_TTL_SECONDS.
+        await this.setTtlAlarm(cookieless && consent.granted ? this.cookielessTtlSeconds() : undefined);
+        const currentState = await this.getState();
+
+        let result = null;
+        let userId = currentState.userId;
+        let isRevoked = false;
+        let cookieCsrfToken = null;
+        let isRehydrated = false;
+        let risk = {action: null, reasons: []};
+        const context = {timezone: request.cf?.timezone || null, campaign: getCampaign(request)};
         if (currentState.cID === null) {
-            const cookieHeader = request.headers.get('Cookie');
-            const cookieState = {
-                cID: this.storageHelper.get(this.env.CID_COOKIE_NAME || CID_COOKIE, cookieHeader),
-                sID: this.storageHelper.get(this.env.SID_COOKIE_NAME || SID_COOKIE, cookieHeader),
-                eID: this.storageHelper.get(this.env.EID_COOKIE_NAME || EID_COOKIE, cookieHeader),
-            };
-            if (cookieState.cID) {
-                const rehydrated = this.manager.rehydrate(cookieState);
-                currentState = rehydrated.newState;
+            const cookieState = await this.readCookieState(request);
+            if (cookieState.cID && cookieState.verified) {
+                isRevoked = this.store.isRevoked(cookieState.sID);
+                result = this.manager.rehydrate(cookieState, {
+                    forceNewSession: isRevoked && SESSION_END_REASON.REVOKED,
+                    context,
+                });
+                userId = cookieState.userId;
+                cookieCsrfToken = cookieState.csrfToken;
+                isRehydrated = true;
+            }
+        }
+        if (result === null) {
+            if (currentState.cID !== null) {
+                risk = this.assessRisk(request);
+                if (risk.action === RISK_ACTION.REVOKE) this.store.revokeSession(currentState.sID, currentState.cID);
             }
+            isRevoked = this.store.isRevoked(currentState.sID);
+            result = this.manager.process({
+                storageHandler: {get: (key) => currentState[key] || null},
+                forceNewSession: (isRevoked && SESSION_END_REASON.REVOKED)
+                    || (risk.action === RISK_ACTION.NEW_SESSION && SESSION_END_REASON.RISK),
+                context,
+            });
         }
+        if (isRevoked) {
+            // A revoked session also ends the authenticated user binding.
+            userId = null;
+            this.linkedClientsCache = null;
+        }
+        const newState = {...result.newState, userId, fingerprint: options.fingerprintCookie ?? null};
+        const {oldState, changes} = result;
 
-        const {newState, oldState, changes} = this.manager.process({
-            storageHandler: {get: (key) => currentState[key] || null}
-        });
+        // Remember which fingerprint-keyed DO bootstrapped this client, so erasure can reach it.
+        const rawFingerprintData = getRawFingerprintData(request);
+        let bootstrapKey = null;
+        if (isNewDoID) bootstrapKey = doName;
+        else if (isRehydrated && consent.granted) bootstrapKey = this.stubName(createStableDurableObjectKey(rawFingerprintData));
 
-        this.persistState(newState);
-        const setCookieHeaders = this.generateCookies(newState);
+        this.persistState(newState, {changes, previousSID: oldState.sID, bootstrapKey});
+        const eventType = options.eventType || EVENT_TYPE.REQUEST;
+        // Without consent no event history (paths, geo, ASN) is kept.
+        if (consent.granted) this.recordEvent(request, newState, fpID, eventType);
+        const fingerprintMatch = this.matchFingerprint(rawFingerprintData, fpID, consent.granted);
+        if (changes.isNewSession && oldState.sID) {
+            await this.dataStore.clearSessionScope();
+        }
+        const csrfToken = await this.ensureCsrfToken(newState.sID, changes.isNewSession ? null : cookieCsrfToken);
+        const hasUserCookie = this.storageHelper.get(this.env.UID_COOKIE_NAME || UID_COOKIE, request.headers.get('Cookie')) !== null;
+        const setCookieHeaders = cookieless
+            ? []
+            : await this.generateCookies(newState, {clearUserCookie: hasUserCookie, csrfToken, cookieHeader: request.headers.get('Cookie')});
+        // The token is returned to clients that use it, and always in cookieless mode.
+        const usesToken = cookieless || readSessionToken(request, this.tokenConfig) !== null;
+        const sessionToken = usesToken ? await createSessionToken(this.signer, newState) : null;
 
         const sessionContext = {
             ...newState,
             oldState,
             ...changes,
             doID: doName,
+            eventType,
             fpID,
             isNewDoID,
             isNewFpID,
+            fpSimilarity: fingerprintMatch.similarity,
+            fpChangedComponents: fingerprintMatch.changedComponents,
+            isRevoked,
+            risk,
+            csrfToken,
+            consent,
+            linkedClients: await this.getLinkedClients(userId),
             setCookieHeaders,
+            sessionToken,
+            responseHeaders: sessionToken ? {[this.tokenConfig.headerName]: sessionToken} : {},
         };
+        if (options.includeData) {
+            sessionContext.data = await this.dataStore.getAll(newState.sID);
+        }
+        if (isNewDoID) {
+            // Off the response path: a request that reaches the cID DO first rehydrates from its cookies and keeps
+            // that state, and cookieless stragglers are served here until the handoff completes.
+            // Without consent no long-lived fingerprint route is kept (nor is the client routed by fingerprint).
+            this.ctx.waitUntil(this.handOff(newState.cID, {cookieless: cookieless && consent.granted}));
+        }
 
         return enrichRequest(request, sessionContext);
     }
+
+    /**
+     * Processes a request that a bootstrap DO forwarded here by its fingerprint alone. A fingerprint can be shared
+     * (e.g. by identical browsers on one network), so a client bound to a user is never handed to such a request.
+     * @returns {Promise<Request | null>} The enriched request, or null if the client is bound to a user.
+     */
+    async processForwardedSession(request, doName, fpID, isNewFpID, options = {}) {
+        const {userId} = await this.getState();
+        if (userId) return null;
+        return this.processSession(request, doName, fpID, false, isNewFpID, options);
+    }
 }
\ No newline at end of file
@@ -0,0 +1,129 @@
+/*
+ * =============================================================================
+ * FILE: src/userDO.mjs
+ *
+ * DESCRIPTION:
+ * Defines the `UserDO` class, a stateful service named by an authenticated
+ * user ID. It keeps the set of client IDs (cIDs) that have been linked to the
+ * user, allowing the same person to be recognised across devices, along with
+ * the traits supplied when the user was identified.
+ * =============================================================================
+ */
+
+import {DurableObject} from "cloudflare:workers";
+import {tenantDoName} from './lib/tenants.mjs';
+
+/**
+ * The storage key prefix for linked clients.
+ * @type {string}
+ */
+const CLIENT_PREFIX = 'client:';
+
+/**
+ * The storage key for the user's merged traits.
+ * @type {string}
+ */
+const TRAITS_KEY = 'traits';
+
+/**
+ * The storage key for the tenant profile the user belongs to.
+ * @type {string}
+ */
+const TENANT_KEY = 'tenant';
+
+export class UserDO extends DurableObject {
+    constructor(ctx, env) {
+        super(ctx, env);
+        this.ctx = ctx;
+        this.env = env;
+    }
+
+    async alarm() {
+        try {
+            await this.ctx.storage.deleteAll();
+            console.log(`UserDO [${this.ctx.id.toString()}] storage deleted due to inactivity.`);
+        } catch (error) {
+            console.error(`UserDO [${this.ctx.id.toString()}] failed to delete storage in alarm:`, error);
+        }
+    }
+
+    async setTtlAlarm() {
+        try {
+            const ttlSeconds = parseInt(this.env.DO_TTL_SECONDS, 10);
+            if (ttlSeconds && ttlSeconds > 0) {
+                await this.ctx.storage.setAlarm(Date.now() + ttlSeconds * 1000);
+            }
+        } catch (error) {
+            console.error(`UserDO [${this.ctx.id.toString()}] failed to set TTL alarm:`, error);
+        }
+    }
+
+    /**
+     * Links a client to this user and merges any supplied traits.
+     * @param {string} cID - The Client ID to link.
+     * @param {object} [traits={}] - User traits (e.g. plan, locale) to merge.
+     * @param {string | null} [tenant=null] - The tenant the client belongs to.
+     * @returns {Promise<{linkedClients: string[], traits: object}>} The updated user record.
+     */
+    async link(cID, traits = {}, tenant = null) {
+        const now = Date.now();
+        const existing = await this.ctx.storage.get(CLIENT_PREFIX + cID);
+        const storedTraits = (await this.ctx.storage.get(TRAITS_KEY)) || {};
+        const mergedTraits = {...storedTraits, ...traits};
+
+        await this.ctx.storage.put({
+            [CLIENT_PREFIX + cID]: {linkedAt: existing?.linkedAt || now, lastSeenAt: now},
+            [TRAITS_KEY]: mergedTraits,
+            [TENANT_KEY]: tenant,
+        });
+        await this.setTtlAlarm();
+
+        return {linkedClients: await this.getLinkedClients(), traits: mergedTraits};
+    }
+
+    /**
+     * Removes a client from this user's linked set.
+     * @param {string} cID - The Client ID to unlink.
+     * @returns {Promise<string[]>} The remaining linked client IDs.
+     */
+    async unlink(cID) {
+        await this.ctx.storage.delete(CLIENT_PREFIX + cID);
+        return this.getLinkedClients();
+    }
+
+    /**
+     * Reading the user counts as activity, so the inactivity TTL is refreshed here too.
+     * @returns {Promise<string[]>} Every client ID linked to this user.
+     */
+    async getLinkedClients() {
+        await this.setTtlAlarm();
+        const clients = await this.ctx.storage.list({prefix: CLIENT_PREFIX});
+        return [...clients.keys()].map(key => key.slice(CLIENT_PREFIX.length));
+    }
+
+    /**
+     * Revokes every session of every client linked to this user ("log out everywhere").
+     * @returns {Promise<{revokedClients: string[]}>} The clients whose sessions were revoked.
+     */
+    async revokeAllSessions() {
+        const linkedClients = await this.getLinkedClients();
+        const tenant = (await this.ctx.storage.get(TENANT_KEY)) || null;
+        const results = await Promise.allSettled(
+            linkedClients.map(cID => this.env.SESSION_DO.getByName(tenantDoName(tenant, cID)).revokeAllSessions())
+        );
+        const revokedClients = linkedClients.filter((cID, i) => {
+            if (results[i].status === 'fulfilled') return true;
+            console.error(`UserDO [${this.ctx.id.toString()}] failed to revoke sessions for ${cID}:`, results[i].reason);
+            return false;
+        });
+        return {revokedClients};
+    }
+
+    /**
+     * @returns {Promise<object>} The user's merged traits.
+     */
+    async getTraits() {
+        await this.setTtlAlarm();
+        return (await this.ctx.storage.get(TRAITS_KEY)) || {};
+    }
+}
@@ -0,0 +1,157 @@
+/*
+ * =============================================================================
+ * FILE: src/wae/fields.mjs
+ *
+ * DESCRIPTION:
+ * The named fields a dataset schema (see `mapping.mjs`) can write to the
+ * Workers Analytics Engine. Each field reads one value from the request, the
+ * session context or a custom event, and declares the slot type it fits and,
+ * for blobs, its maximum size, so schemas can be checked against the WAE
+ * limits before anything is written.
+ * =============================================================================
+ */
+
+import {buildGeoID} from '../lib/geoID.mjs';
+import {getUserAgentFamily} from '../lib/fingerprint.mjs';
+
+/**
+ * The slot types of a data point.
+ * @readonly
+ * @enum {string}
+ */
+export const SLOT_TYPE = {
+    BLOB: 'blob',
+    DOUBLE: 'double',
+};
+
+/**
+ * The prefix of custom event property fields, e.g. `property:plan`.
+ * @type {string}
+ */
+export const PROPERTY_FIELD_PREFIX = 'property:';
+
+/**
+ * @typedef {object} FieldContext
+ * @property {Request} request - The request the data point describes.
+ * @property {URL} url - The parsed request URL.
+ * @property {object} session - The session context (`.session`, or the identifiers of a custom event).
+ * @property {import('../lib/customEvents.mjs').CustomEvent | null} event - The custom event, if any.
+ * @property {boolean} isAnonymous - Whether identifiers must be stripped (no analytics consent).
+ * @property {number} sampleInterval - How many data points this one stands for (see `sampling.mjs`).
+ */
+
+/**
+ * @typedef {object} FieldDefinition
+ * @property {SLOT_TYPE} type - The slot type the field is written to (index fields must be blobs).
+ * @property {number} [maxBytes] - Blobs only: the most bytes written; longer values are truncated.
+ * @property {(context: FieldContext) => string|number} get - Reads the field's value.
+ */
+
+/**
+ * The placeholder written in place of identifiers for requests without consent.
+ * @type {string}
+ */
+const ANONYMOUS = 'anonymous';
+
+/** @private */
+const ID_BYTES = 64;
+
+/** @private */
+const identifier = (read) => ({
+    type: SLOT_TYPE.BLOB,
+    maxBytes: ID_BYTES,
+    get: (context) => context.isAnonymous ? ANONYMOUS : (read(context.session) || 'fallback'),
+});
+
+/** @private */
+const blob = (maxBytes, get) => ({type: SLOT_TYPE.BLOB, maxBytes, get});
+
+/** @private */
+const double = (get) => ({type: SLOT_TYPE.DOUBLE, get});
+
+/** @private */
+const flag = (read) => double(context => read(context) ? 1 : 0);
+
+/** @private */
+const utm = (param) => blob(256, ({url}) => url.searchParams.get(param) || '');
+
+/** @private */
+const referrerHost = (request) => {
+    try {
+        return new URL(request.headers.get('Referer')).hostname;
+    } catch {
+        return '';
+    }
+};
+
+/**
+ * The built-in fields, by name.
+ * @type {Object<string, FieldDefinition>}
+ */
+export const FIELDS = {
+    // --- Request ---
+    country: blob(8, ({request}) => request.cf?.country || 'unknown'),
+    colo: blob(8, ({request}) => request.cf?.colo || 'unknown'),
+    geoID: blob(256, ({request, isAnonymous}) => (isAnonymous ? request.cf?.country : buildGeoID(request.cf)) || 'unknown'),
+    asn: blob(16, ({request}) => request.cf?.asn ? String(request.cf.asn) : 'unknown'),
+    asOrganization: blob(256, ({request}) => request.cf?.asOrganization || 'unknown'),
+    hostname: blob(256, ({url}) => url.hostname),
+    path: blob(1024, ({url}) => url.pathname),
+    method: blob(16, ({request}) => request.method),
+    accept: blob(256, ({request}) => request.headers.get('Accept') || 'unknown'),
+    referrer: blob(1024, ({request}) => request.headers.get('Referer') || ''),
+    referrerHost: blob(256, ({request}) => referrerHost(request)),
+    utmSource: utm('utm_source'),
+    utmMedium: utm('utm_medium'),
+    utmCampaign: utm('utm_campaign'),
+    utmTerm: utm('utm_term'),
+    utmContent: utm('utm_content'),
+    uaFamily: blob(32, ({request}) => getUserAgentFamily(request.headers.get('User-Agent') || '').family),
+
+    // --- Session ---
+    cID: identifier(session => session.cID),
+    sID: identifier(session => session.sID),
+    eID: identifier(session => session.eID),
+    fpID: identifier(session => session.fpID),
+    userId: {...identifier(session => session.userId), maxBytes: 256},
+    tenant: blob(64, ({session}) => session.tenant || ''),
+    eventType: blob(32, ({session}) => session.eventType || ''),
+    isNewClient: flag(({session}) => session.isNewClient),
+    isNewFpID: flag(({session}) => session.isNewFpID),
+    isNewSession: flag(({session}) => session.isNewSession),
+    isFallback: flag(({session}) => session.cID === null || session.isFallback),
+    isBot: flag(({session}) => session.isBot),
+    botScore: double(({session}) => session.botScore || 0),
+    isRevoked: flag(({session}) => session.isRevoked),
+    isIdentified: flag(({session}) => session.userId),
+
+    // --- Hijack detection ---
+    riskAction: blob(16, ({session}) => session.risk?.action || ''),
+    riskRules: blob(256, ({session}) => (session.risk?.reasons || []).map(reason => reason.rule).join(',')),
+    riskCount: double(({session}) => session.risk?.reasons.length || 0),
+
+    // --- Sampling ---
+    sampleInterval: double(({sampleInterval}) => sampleInterval ?? 1),
+
+    // --- Custom events ---
+    eventName: blob(128, ({event}) => event?.name || ''),
+    eventValue: double(({event}) => event?.value ?? 0),
+    hasEventValue: flag(({event}) => event && event.value !== null),
+};
+
+/**
+ * Looks up a field by name, including `property:<name>` fields of custom events.
+ * @param {string} name - The field name.
+ * @returns {FieldDefinition | null} The field, or null if there is no such field.
+ */
+export function getField(name) {
+    if (Object.hasOwn(FIELDS, name)) return FIELDS[name];
+    if (name.startsWith(PROPERTY_FIELD_PREFIX) && name.length > PROPERTY_FIELD_PREFIX.length) {
+        const property = name.slice(PROPERTY_FIELD_PREFIX.length);
+        return blob(256, ({event}) => {
+            const value = event?.properties[property];
+            return value === undefined || value === null ? '' : String(value);
+        });
+    }
+    return null;
+}
@@ -4,13 +4,95 @@
  *
  * DESCRIPTION:
  * The main service module for handling Workers Analytics Engine (WAE) events.
- * It exports a single function, `sendAnalytics`, which implements the
- * multi-dataset strategy for clients, sessions, and events.
+ * `sendAnalytics` implements the multi-dataset strategy for clients, sessions,
+ * events, bots, and risk; `sendCustomEvent` writes custom events to their own
+ * dataset. The layout of every data point comes from `mapping.mjs`, and
+ * `sampling.mjs` decides which data points are written at all.
  * =============================================================================
  */
 
-import './schema.mjs'; // Imports the JSDoc type definitions for clarity.
-import {buildGeoID} from '../lib/geoID.mjs';
+import {schemaVersion, SCHEMA_VERSION_BLOB} from './schema.mjs';
+import {getField} from './fields.mjs';
+import {DATASET_SCHEMAS, customEventSchema} from './mapping.mjs';
+import {samplingConfigFromEnv, isPathTracked, throttleFactor, sampleInterval} from './sampling.mjs';
+import {consentConfigFromEnv, CONSENT_ANALYTICS} from '../lib/consent.mjs';
+
+/** @private */
+const encoder = new TextEncoder();
+
+/** @private */
+const decoder = new TextDecoder();
+
+/**
+ * Decides how a data point treats identifiers under the session's consent.
+ * @private
+ * @param {object} env - The worker's environment object.
+ * @param {object} session - The session context (`consent`).
+ * @returns {{isAnonymous: boolean, isSuppressed: boolean}} Whether identifiers are stripped, or nothing is written.
+ */
+const consentHandling = (env, session) => {
+    const isAnonymous = session.consent?.granted === false;
+    return {
+        isAnonymous,
+        isSuppressed: isAnonymous && consentConfigFromEnv(env).analytics === CONSENT_ANALYTICS.SUPPRESS,
+    };
+};
+
+/**
+ * Applies the path filters and the colo throttle to a request.
+ * @private
+ * @param {Request} request - The request the data points describe.
+ * @param {URL} url - The parsed request URL.
+ * @param {object} env - The worker's environment object.
+ * @returns {{config: import('./sampling.mjs').SamplingConfig, factor: number} | null} The sampling state, or null
+ * if the request's path is not tracked.
+ */
+const samplingFor = (request, url, env) => {
+    const config = samplingConfigFromEnv(env);
+    if (!isPathTracked(url.pathname, config)) return null;
+    return {config, factor: throttleFactor(request.cf?.colo || 'unknown', config)};
+};
+
+/**
+ * Cuts a blob to at most `maxBytes` of UTF-8, at a character boundary.
+ * @private
+ */
+const truncate = (value, maxBytes) => {
+    if (value.length * 3 <= maxBytes) return value;
+    const bytes = encoder.encode(value);
+    if (bytes.length <= maxBytes) return value;
+    // A character cut in half decodes to U+FFFD.
+    return decoder.decode(bytes.subarray(0, maxBytes)).replace(/\uFFFD$/, '');
+};
+
+/** @private */
+const resolvedSchemas = new WeakMap();
+
+/**
+ * Builds a data point from a dataset schema.
+ * @private
+ * @param {import('./schema.mjs').DatasetSchema} schema - A validated schema.
+ * @param {import('./fields.mjs').FieldContext} context - The values to read the fields from.
+ * @returns {AnalyticsDataPoint} The data point, with the schema version in the reserved blob.
+ */
+const buildDataPoint = (schema, context) => {
+    if (!resolvedSchemas.has(schema)) {
+        resolvedSchemas.set(schema, {
+            index: getField(schema.index),
+            blobs: schema.blobs.map(getField),
+            doubles: schema.doubles.map(getField),
+        });
+    }
+    const fields = resolvedSchemas.get(schema);
+    const blobs = fields.blobs.map(field => truncate(String(field.get(context)), field.maxBytes));
+    while (blobs.length < SCHEMA_VERSION_BLOB) blobs.push('');
+    blobs.push(schemaVersion(schema));
+    return {
+        indexes: [truncate(String(fields.index.get(context)), fields.index.maxBytes)],
+        blobs,
+        doubles: fields.doubles.map(field => Number(field.get(context)) || 0),
+    };
+};
 
 /**
  * Prepares and sends a structured data point to the appropriate Workers
@@ -23,61 +105,97 @@ import {buildGeoID} from '../lib/geoID.mjs';
  */
 export function sendAnalytics(request, env, session) {
     // Gracefully exit if no analytics bindings are configured.
-    if (!env || (!env.STATS_CLIENT && !env.STATS_SESSION && !env.STATS_EVENTS)) {
+    if (!env || (!env.STATS_CLIENT && !env.STATS_SESSION && !env.STATS_EVENTS && !env.STATS_BOTS && !env.STATS_RISK)) {
+        return;
+    }
+
+    // Without consent, either write nothing or strip every identifier.
+    const {isAnonymous, isSuppressed} = consentHandling(env, session);
+    if (isSuppressed) {
         return;
     }
 
     try {
         const url = new URL(request.url);
+        const sampling = samplingFor(request, url, env);
+        if (!sampling) {
+            return;
+        }
 
-        /** @type {SessionEventBlobs} */
-        const blobs = [
-            request.cf?.country || 'unknown',
-            request.cf?.colo || 'unknown',
-            buildGeoID(request.cf) || 'unknown',
-            session.cID || 'fallback',
-            session.sID || 'fallback',
-            session.eID || 'fallback',
-            url.hostname,
-            url.pathname,
-            request.method,
-            request.headers.get('Accept') || 'unknown',
-            session.fpID || 'fallback',
-        ];
-
-        /** @type {SessionEventDoubles} */
-        const doubles = [
-            session.isNewClient ? 1 : 0,
-            session.isNewFpID ? 1 : 0,
-            session.isNewSession ? 1 : 0,
-            session.cID === null || session.isFallback ? 1 : 0,
-        ];
-
-        /** @type {AnalyticsDataPoint} */
-        const dataPoint = {
-            indexes: [session.cID || 'fallback'],
-            blobs,
-            doubles,
+        /** @type {import('./fields.mjs').FieldContext} */
+        const context = {request, url, session, event: null, isAnonymous};
+        // Each dataset is sampled on its own, but always by cID, so a client is in or out of a dataset as a whole.
+        const write = (role) => {
+            if (!env[role]) return;
+            const interval = sampleInterval(role, session.cID || session.eID || '', sampling.config, sampling.factor);
+            if (interval > 0) {
+                env[role].writeDataPoint(buildDataPoint(DATASET_SCHEMAS[role], {...context, sampleInterval: interval}));
+            }
         };
 
         // --- Multi-Dataset Write Logic ---
 
-        // Always write to the main event log if it's configured.
-        if (env.STATS_EVENTS) {
-            env.STATS_EVENTS.writeDataPoint(dataPoint);
+        // Requests that fired a hijacking rule are also written to the risk log,
+        // with the action taken and the rules that fired appended.
+        if (session.risk?.reasons.length > 0) {
+            write('STATS_RISK');
         }
 
+        // Bots never count towards the client and session KPIs. They go to the
+        // dedicated bot log when it is configured, or to the tagged event log.
+        if (session.isBot) {
+            write(env.STATS_BOTS ? 'STATS_BOTS' : 'STATS_EVENTS');
+            return;
+        }
+
+        // Always write to the main event log if it's configured.
+        write('STATS_EVENTS');
+
         // If it's a new session, also write to the session log.
-        if (session.isNewSession && env.STATS_SESSION) {
-            env.STATS_SESSION.writeDataPoint(dataPoint);
+        if (session.isNewSession) {
+            write('STATS_SESSION');
         }
 
         // If it's a new client, also write to the client log.
-        if (session.isNewClient && env.STATS_CLIENT) {
-            env.STATS_CLIENT.writeDataPoint(dataPoint);
+        if (session.isNewClient) {
+            write('STATS_CLIENT');
         }
 
     } catch (error) {
         console.error("Failed to send analytics data point:", error);
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Writes a custom event to the `STATS_CUSTOM` dataset. Like `sendAnalytics`,
+ * this is a "fire-and-forget" operation that honours the session's consent.
+ *
+ * @param {Request} request - The request the event was reported with.
+ * @param {object} env - The worker's environment object with analytics bindings.
+ * @param {{cID: string, sID: string, eID: string, consent?: object}} session - The session the event belongs to.
+ * @param {import('../lib/customEvents.mjs').CustomEvent} event - The validated event.
+ * @returns {void}
+ */
+export function sendCustomEvent(request, env, session, event) {
+    if (!env?.STATS_CUSTOM) {
+        return;
+    }
+    const {isAnonymous, isSuppressed} = consentHandling(env, session);
+    if (isSuppressed) {
+        return;
+    }
+
+    try {
+        const url = new URL(request.url);
+        const sampling = samplingFor(request, url, env);
+        const key = session.cID || session.eID || '';
+        const interval = sampling && sampleInterval('STATS_CUSTOM', key, sampling.config, sampling.factor);
+        if (!interval) {
+            return;
+        }
+        const context = {request, url, session, event, isAnonymous, sampleInterval: interval};
+        env.STATS_CUSTOM.writeDataPoint(buildDataPoint(customEventSchema(env), context));
+    } catch (error) {
+        console.error("Failed to send custom event data point:", error);
+    }
+}
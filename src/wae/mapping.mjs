@@ -0,0 +1,106 @@
+/*
+ * =============================================================================
+ * FILE: src/wae/mapping.mjs
+ *
+ * DESCRIPTION:
+ * The declarative mapping of named fields (see `fields.mjs`) to the index,
+ * blob and double slots of each Analytics Engine dataset. To add a field to a
+ * dataset, append it to the schema's list and bump its `version`; appending
+ * keeps every existing slot where queries expect it. Every schema is
+ * validated when this module loads, so a mapping that breaks a WAE limit
+ * fails the deployment instead of dropping data points.
+ * =============================================================================
+ */
+
+import {validateSchema, SCHEMA_VERSION_BLOB} from './schema.mjs';
+import {PROPERTY_FIELD_PREFIX} from './fields.mjs';
+
+/** The request fields shared by the request and risk schemas. @private */
+const REQUEST_BLOBS = ['country', 'colo', 'geoID', 'cID', 'sID', 'eID', 'hostname', 'path', 'method', 'accept', 'fpID'];
+
+/** @private */
+const REQUEST_DOUBLES = ['isNewClient', 'isNewFpID', 'isNewSession', 'isFallback', 'isBot', 'botScore'];
+
+/**
+ * The fields of every request data point (`blob1`-`blob11`, `double1`-`double7`).
+ * Version 2 added `sampleInterval`.
+ * @type {import('./schema.mjs').DatasetSchema}
+ */
+const REQUEST_SCHEMA = {
+    name: 'request',
+    version: 2,
+    index: 'cID',
+    blobs: REQUEST_BLOBS,
+    doubles: [...REQUEST_DOUBLES, 'sampleInterval'],
+};
+
+/**
+ * Requests on which a hijacking rule fired: the request fields, then the
+ * action and rules (`blob12`, `blob13`) and the rule count (`double7`).
+ * Version 2 added `sampleInterval` (`double8`).
+ * @type {import('./schema.mjs').DatasetSchema}
+ */
+const RISK_SCHEMA = {
+    name: 'risk',
+    version: 2,
+    index: 'cID',
+    blobs: [...REQUEST_BLOBS, 'riskAction', 'riskRules'],
+    doubles: [...REQUEST_DOUBLES, 'riskCount', 'sampleInterval'],
+};
+
+/**
+ * Custom events. The properties named by `CUSTOM_EVENT_PROPERTIES` follow
+ * these blobs (see `customEventSchema`). Version 2 added `sampleInterval`.
+ * @type {import('./schema.mjs').DatasetSchema}
+ */
+const CUSTOM_SCHEMA = {
+    name: 'custom',
+    version: 2,
+    index: 'cID',
+    blobs: ['country', 'colo', 'cID', 'sID', 'eID', 'hostname', 'path', 'eventName'],
+    doubles: ['eventValue', 'hasEventValue', 'sampleInterval'],
+};
+
+/**
+ * The schema of each dataset role.
+ * @type {Object<string, import('./schema.mjs').DatasetSchema>}
+ */
+export const DATASET_SCHEMAS = Object.fromEntries(Object.entries({
+    STATS_CLIENT: REQUEST_SCHEMA,
+    STATS_SESSION: REQUEST_SCHEMA,
+    STATS_EVENTS: REQUEST_SCHEMA,
+    STATS_BOTS: REQUEST_SCHEMA,
+    STATS_RISK: RISK_SCHEMA,
+    STATS_CUSTOM: CUSTOM_SCHEMA,
+}).map(([role, schema]) => [role, validateSchema(role, schema)]));
+
+/**
+ * The number of blobs left for custom event properties.
+ * @type {number}
+ */
+export const CUSTOM_PROPERTY_BLOBS = SCHEMA_VERSION_BLOB - CUSTOM_SCHEMA.blobs.length;
+
+/** @private */
+const customSchemas = new Map();
+
+/**
+ * The custom event schema with the properties named by `CUSTOM_EVENT_PROPERTIES`
+ * appended as blobs, in order. Properties beyond `CUSTOM_PROPERTY_BLOBS` are dropped.
+ * @param {object} env - The worker's environment.
+ * @returns {import('./schema.mjs').DatasetSchema} The validated schema.
+ */
+export function customEventSchema(env) {
+    const raw = String(env.CUSTOM_EVENT_PROPERTIES || '');
+    if (!customSchemas.has(raw)) {
+        const names = raw.split(',').map(name => name.trim()).filter(Boolean);
+        if (names.length > CUSTOM_PROPERTY_BLOBS) {
+            console.error(`CUSTOM_EVENT_PROPERTIES lists ${names.length} properties; only the first ${CUSTOM_PROPERTY_BLOBS} are written.`);
+        }
+        const properties = names.slice(0, CUSTOM_PROPERTY_BLOBS).map(name => PROPERTY_FIELD_PREFIX + name);
+        customSchemas.set(raw, validateSchema('STATS_CUSTOM', {
+            ...DATASET_SCHEMAS.STATS_CUSTOM,
+            blobs: [...DATASET_SCHEMAS.STATS_CUSTOM.blobs, ...properties],
+        }));
+    }
+    return customSchemas.get(raw);
+}
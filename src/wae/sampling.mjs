@@ -0,0 +1,144 @@
+/*
+ * =============================================================================
+ * FILE: src/wae/sampling.mjs
+ *
+ * DESCRIPTION:
+ * Volume controls for Analytics Engine writes: per-dataset sample rates,
+ * path include/exclude patterns, and an adaptive throttle that lowers every
+ * rate when a colo sees more traffic than its budget. Sampling is
+ * deterministic by cID, so a sampled client is sampled on every request, and
+ * each data point records its sample interval for re-weighting.
+ * =============================================================================
+ */
+
+/**
+ * @typedef {object} SamplingConfig
+ * @property {Object<string, number>} rates - Sample rates (0-1) by dataset role; unlisted roles use 1.
+ * @property {RegExp[]} includePaths - If not empty, only requests to matching paths are written.
+ * @property {RegExp[]} excludePaths - Requests to matching paths are never written.
+ * @property {number} maxEventsPerSecond - The per-colo budget of analysed requests per second. `0` disables the throttle.
+ */
+
+/**
+ * How long the throttle measures traffic before adjusting, in milliseconds.
+ * @type {number}
+ */
+const THROTTLE_WINDOW_MS = 10000;
+
+/**
+ * Traffic per colo in the current throttle window. Isolates are per colo, so
+ * this is a local, best-effort measure that needs no coordination.
+ * @type {Map<string, {windowStart: number, count: number, factor: number}>}
+ */
+const throttles = new Map();
+
+/** @private */
+const patternCache = new Map();
+
+/**
+ * Compiles comma-separated path patterns, where `*` matches any characters
+ * (e.g. `/static/*,/health`).
+ * @private
+ * @param {string} value - The patterns.
+ * @returns {RegExp[]} One anchored expression per pattern.
+ */
+const parsePathPatterns = (value) => {
+    const raw = String(value || '');
+    if (!patternCache.has(raw)) {
+        patternCache.set(raw, raw.split(',').map(pattern => pattern.trim()).filter(Boolean).map(pattern => new RegExp(
+            `^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`
+        )));
+    }
+    return patternCache.get(raw);
+};
+
+/**
+ * Reads the sampling configuration from the worker's environment.
+ * @param {object} env - The environment object (`ANALYTICS_SAMPLE_RATES`, `ANALYTICS_INCLUDE_PATHS`,
+ * `ANALYTICS_EXCLUDE_PATHS`, `ANALYTICS_MAX_EVENTS_PER_SECOND`).
+ * @returns {SamplingConfig} The configuration.
+ */
+export function samplingConfigFromEnv(env) {
+    const rates = {};
+    for (const entry of String(env.ANALYTICS_SAMPLE_RATES || '').split(',')) {
+        const [role, rate] = entry.split(':').map(part => part.trim());
+        const value = parseFloat(rate);
+        if (role && !Number.isNaN(value)) rates[role] = Math.min(Math.max(value, 0), 1);
+    }
+    return {
+        rates,
+        includePaths: parsePathPatterns(env.ANALYTICS_INCLUDE_PATHS),
+        excludePaths: parsePathPatterns(env.ANALYTICS_EXCLUDE_PATHS),
+        maxEventsPerSecond: Math.max(parseFloat(env.ANALYTICS_MAX_EVENTS_PER_SECOND) || 0, 0),
+    };
+}
+
+/**
+ * Checks a request path against the include and exclude patterns.
+ * @param {string} path - The request path.
+ * @param {SamplingConfig} config - From `samplingConfigFromEnv`.
+ * @returns {boolean} True if the request may be written.
+ */
+export function isPathTracked(path, config) {
+    if (config.excludePaths.some(pattern => pattern.test(path))) return false;
+    return config.includePaths.length === 0 || config.includePaths.some(pattern => pattern.test(path));
+}
+
+/**
+ * Counts a request against its colo's budget and returns the factor every
+ * sample rate is multiplied by. The factor is derived from the previous
+ * window's traffic, so it adapts within seconds and recovers when traffic drops.
+ * @param {string} colo - The Cloudflare colo (`request.cf.colo`).
+ * @param {SamplingConfig} config - From `samplingConfigFromEnv`.
+ * @param {number} [now=Date.now()] - The current time, in milliseconds.
+ * @returns {number} A factor in (0, 1]; 1 when the colo is within budget or the throttle is disabled.
+ */
+export function throttleFactor(colo, config, now = Date.now()) {
+    if (config.maxEventsPerSecond <= 0) return 1;
+    let state = throttles.get(colo);
+    if (!state) {
+        state = {windowStart: now, count: 0, factor: 1};
+        throttles.set(colo, state);
+    }
+    const elapsed = now - state.windowStart;
+    if (elapsed >= THROTTLE_WINDOW_MS) {
+        const perSecond = state.count / (elapsed / 1000);
+        state.factor = perSecond > config.maxEventsPerSecond ? config.maxEventsPerSecond / perSecond : 1;
+        state.windowStart = now;
+        state.count = 0;
+    }
+    state.count++;
+    return state.factor;
+}
+
+/**
+ * Maps a key to a stable position in [0, 1): 32-bit FNV-1a, with the MurmurHash3
+ * finaliser so that similar keys (pushIDs share their time prefix) spread evenly.
+ * @private
+ * @param {string} key - The sampling key.
+ * @returns {number} The position.
+ */
+const samplePosition = (key) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < key.length; i++) {
+        hash ^= key.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    hash = Math.imul(hash ^ (hash >>> 16), 0x85ebca6b);
+    hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+    return ((hash ^ (hash >>> 16)) >>> 0) / 0x100000000;
+};
+
+/**
+ * Decides whether a client is sampled for a dataset.
+ * @param {string} role - The dataset role, e.g. `STATS_EVENTS`.
+ * @param {string} key - The sampling key (the cID), so a sampled client is fully sampled.
+ * @param {SamplingConfig} config - From `samplingConfigFromEnv`.
+ * @param {number} [factor=1] - The throttle factor from `throttleFactor`.
+ * @returns {number} The sample interval to record (1 / effective rate), or 0 if the data point is dropped.
+ */
+export function sampleInterval(role, key, config, factor = 1) {
+    const rate = (config.rates[role] ?? 1) * factor;
+    if (rate >= 1) return 1;
+    return rate > 0 && samplePosition(key) < rate ? 1 / rate : 0;
+}
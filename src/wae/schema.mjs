@@ -4,12 +4,15 @@
  *
  * DESCRIPTION:
  * Defines the formal schema for data points sent to the Workers Analytics
- * Engine (WAE). This module uses JSDoc typedefs to create a clear "contract"
- * for the analytics data, ensuring consistency and making the data easier to
- * query and understand.
+ * Engine (WAE): the shape of a data point, of the dataset schemas declared in
+ * `mapping.mjs`, and the WAE limits every schema is validated against. Each
+ * data point records its schema version in a reserved blob, so queries and
+ * dashboards can tell layouts apart after a schema changes.
  * =============================================================================
  */
 
+import {getField, SLOT_TYPE} from './fields.mjs';
+
 /**
  * @typedef {object} AnalyticsDataPoint
  * @property {string[]} indexes - An array containing a single, high-cardinality
@@ -21,31 +24,87 @@
  */
 
 /**
- * Defines the specific structure and order of the `blobs` array for an
- * analytics data point.
- *
- * @typedef {Array<string>} SessionEventBlobs
- * @property {string} 0 - The two-letter country code from the request (e.g., "US").
- * @property {string} 1 - The Cloudflare colo ID from the request (e.g., "EWR").
- * @property {string} 2 - A concatenated geographic ID (e.g., "NA-US-NY-New York-10001").
- * @property {string} 3 - The Client ID (cID).
- * @property {string} 4 - The Session ID (sID).
- * @property {string} 5 - The Event ID (eID).
- * @property {string} 6 - The domain from the request URL.
- * @property {string} 7 - The path from the request URL.
- * @property {string} 8 - The HTTP method of the request.
- * @property {string} 9 - The `Accept` header from the request.
- * @property {string} 10 - The browser fingerprint ID (fpID).
+ * @typedef {object} DatasetSchema
+ * @property {string} name - The schema's name, e.g. `request`.
+ * @property {number} version - Incremented whenever a slot changes meaning; written with the name as `<name>.<version>`.
+ * @property {string} index - The field used as the sampling key (`index1`).
+ * @property {string[]} blobs - The fields written to `blob1` onwards, in order.
+ * @property {string[]} doubles - The fields written to `double1` onwards, in order.
  */
 
 /**
- * Defines the specific structure and order of the `doubles` array for an
- * analytics data point.
- *
- * @typedef {Array<number>} SessionEventDoubles
- * @property {number} 0 - A flag (1 or 0) indicating if this was a new client.
- * @property {number} 1 - A flag (1 or 0) indicating if the fingerprint has changed.
- * @property {number} 2 - A flag (1 or 0) indicating if this was a new session.
- * @property {number} 3 - A flag (1 or 0) indicating if the session context was a
- * fallback due to a service error.
- */
\ No newline at end of file
+ * The limits of a single Workers Analytics Engine data point.
+ * @readonly
+ * @enum {number}
+ */
+export const WAE_LIMITS = {
+    /** Blobs per data point, including the reserved version blob. */
+    BLOBS: 20,
+    /** Doubles per data point. */
+    DOUBLES: 20,
+    /** The size of the index, in bytes. */
+    INDEX_BYTES: 96,
+    /** The total size of all blobs, in bytes. */
+    BLOB_BYTES: 16 * 1024,
+};
+
+/**
+ * The blob (0-based; `blob20` in queries) that holds the schema version of
+ * every data point. Data points written before schemas were versioned leave it empty.
+ * @type {number}
+ */
+export const SCHEMA_VERSION_BLOB = WAE_LIMITS.BLOBS - 1;
+
+/** @private */
+const VERSION_BYTES = 32;
+
+/**
+ * The version string written to `SCHEMA_VERSION_BLOB`.
+ * @param {DatasetSchema} schema - The dataset schema.
+ * @returns {string} E.g. `request.1`.
+ */
+export function schemaVersion(schema) {
+    return `${schema.name}.${schema.version}`;
+}
+
+/**
+ * Checks a dataset schema against the WAE limits.
+ * @param {string} role - The dataset role the schema is for (used in error messages).
+ * @param {DatasetSchema} schema - The schema to check.
+ * @returns {DatasetSchema} The schema, unchanged.
+ * @throws {Error} If a field is unknown or of the wrong type, or the schema exceeds a WAE limit.
+ */
+export function validateSchema(role, schema) {
+    const fail = (message) => {
+        throw new Error(`Analytics schema for ${role} is invalid: ${message}`);
+    };
+    if (!schema || typeof schema.name !== 'string' || !Number.isInteger(schema.version) || schema.version < 1) {
+        fail('a schema needs a name and a positive integer version.');
+    }
+    if (schemaVersion(schema).length > VERSION_BYTES) {
+        fail(`the version string "${schemaVersion(schema)}" exceeds ${VERSION_BYTES} bytes.`);
+    }
+    const typed = (name, type) => {
+        const field = getField(name);
+        if (!field) fail(`unknown field "${name}".`);
+        if (field.type !== type) fail(`field "${name}" is a ${field.type}, not a ${type}.`);
+        return field;
+    };
+
+    const index = typed(schema.index, SLOT_TYPE.BLOB);
+    if (index.maxBytes > WAE_LIMITS.INDEX_BYTES) {
+        fail(`index field "${schema.index}" may be ${index.maxBytes} bytes; the index is limited to ${WAE_LIMITS.INDEX_BYTES}.`);
+    }
+    if (schema.blobs.length > SCHEMA_VERSION_BLOB) {
+        fail(`${schema.blobs.length} blobs; at most ${SCHEMA_VERSION_BLOB} fit next to the version blob.`);
+    }
+    if (schema.doubles.length > WAE_LIMITS.DOUBLES) {
+        fail(`${schema.doubles.length} doubles; the limit is ${WAE_LIMITS.DOUBLES}.`);
+    }
+    const blobBytes = schema.blobs.reduce((total, name) => total + typed(name, SLOT_TYPE.BLOB).maxBytes, VERSION_BYTES);
+    if (blobBytes > WAE_LIMITS.BLOB_BYTES) {
+        fail(`its blobs may total ${blobBytes} bytes; the limit is ${WAE_LIMITS.BLOB_BYTES}.`);
+    }
+    schema.doubles.forEach(name => typed(name, SLOT_TYPE.DOUBLE));
+    return schema;
+}
@@ -13,61 +13,189 @@
 import {WorkerEntrypoint} from "cloudflare:workers";
 
 export {SessionDO} from './sessionDO.mjs';
-import {cookieStorage} from './lib/cookieStorage.js';
-import {fallbackRequest} from './lib/fallbackRequest.mjs';
-import {sendAnalytics} from './wae/index.mjs';
-import {CID_COOKIE, FPID_COOKIE} from './lib/constants.mjs';
+export {UserDO} from './userDO.mjs';
+export {AuditDO} from './auditDO.mjs';
+import {cookieStorageFromEnv} from './lib/cookieStorage.mjs';
+import {signerFromEnv, needsReissue} from './lib/cookieSigner.mjs';
+import {resolveTenant, tenantDoName} from './lib/tenants.mjs';
+import {fallbackRequest, ephemeralRequest} from './lib/fallbackRequest.mjs';
+import {getRateLimitPolicy, rateLimitTarget} from './lib/rateLimiter.mjs';
+import {resolveConsent, consentConfigFromEnv} from './lib/consent.mjs';
+import {extractCsrfToken, isSafeMethod, CSRF_RESULT} from './lib/csrf.mjs';
+import {classifyBot, trackRequestRate, botConfigFromEnv, BOT_MODE} from './lib/botDetection.mjs';
+import {sessionTokenConfigFromEnv, readSessionToken, verifySessionToken} from './lib/sessionToken.mjs';
+import {sendAnalytics, sendCustomEvent} from './wae/index.mjs';
+import {normalizeCustomEvent} from './lib/customEvents.mjs';
+import {handleAdminRequest} from './lib/adminApi.mjs';
+import {handleSdkRequest, handleCollect, SDK_PATH, COLLECT_PATH} from './sdk/index.mjs';
+import {EVENT_TYPE} from './lib/eventHistory.mjs';
+import {CID_COOKIE, ERASURE_LOG_NAME, FPID_COOKIE, SID_COOKIE} from './lib/constants.mjs';
 import {
     getRawFingerprintData,
-    createBrowserFingerprint,
+    createFingerprint,
     createStableDurableObjectKey,
+    getFingerprintStrategy,
+    parseFingerprintCookie,
+    formatFingerprintCookie,
     getLocationHint
 } from './lib/fingerprint.mjs';
 
+/**
+ * Counts a request against a named rate limit policy in the Durable Object
+ * that owns the policy's key. Fails open: if the limiter is unavailable the
+ * error is logged and `null` is returned.
+ *
+ * @param {object} env - The worker's (tenant) environment.
+ * @param {string} policyName - The policy name from `RATE_LIMIT_POLICIES`.
+ * @param {{cID: string|null, sID: string|null, stableKey: string}} identifiers - The request's identifiers.
+ * @param {string | null} [tenant=null] - The tenant the identifiers belong to.
+ * @returns {Promise<import('./lib/rateLimiter.mjs').RateLimitResult | null>} The outcome.
+ */
+async function enforceRateLimit(env, policyName, identifiers, tenant = null) {
+    try {
+        const policy = getRateLimitPolicy(env, policyName);
+        const {doName, key} = rateLimitTarget(policy, identifiers);
+        return await env.SESSION_DO.getByName(tenantDoName(tenant, doName)).checkRateLimit(policy.name, key);
+    } catch (error) {
+        console.error(`Rate limit check for policy "${policyName}" failed:`, error);
+        return null;
+    }
+}
+
+/**
+ * Reads a request's cID and sID from its signed cookies or, for cookieless
+ * clients, from its session token. Cookies take precedence.
+ *
+ * @param {object} env - The worker's environment.
+ * @param {Request} request - The incoming request.
+ * @param {ReturnType<typeof cookieStorageFromEnv>} storageReader - A cookie reader with the configured signer.
+ * @returns {Promise<{cID: string|null, sID: string|null}>} The identifiers.
+ */
+async function readIdentifiers(env, request, storageReader) {
+    const cookieHeader = request.headers.get('Cookie');
+    const [cID, sID] = await Promise.all([
+        storageReader.getVerified(env.CID_COOKIE_NAME || CID_COOKIE, cookieHeader),
+        storageReader.getVerified(env.SID_COOKIE_NAME || SID_COOKIE, cookieHeader),
+    ]);
+    if (cID.value) return {cID: cID.value, sID: sID.value};
+
+    const token = await verifySessionToken(signerFromEnv(env), readSessionToken(request, sessionTokenConfigFromEnv(env)));
+    return {cID: token?.cID || null, sID: token?.sID || null};
+}
+
+/**
+ * The Durable Object of a client. RPCs that take a cID take the tenant
+ * separately, like `revokeUserSessions`, and namespace the name here.
+ *
+ * @param {object} env - The worker's environment.
+ * @param {string} cID - The Client ID, as in `.session.cID`.
+ * @param {string | null} tenant - The tenant the client belongs to, as in `.session.tenant`.
+ * @returns {DurableObjectStub} The client's Durable Object.
+ */
+function clientStub(env, cID, tenant) {
+    return env.SESSION_DO.getByName(tenantDoName(tenant, cID));
+}
+
 export default class extends WorkerEntrypoint {
-    async processSession(request, env) {
+    /**
+     * Enriches a request with its full session context.
+     * @param {Request} request - The incoming request from the parent worker.
+     * @param {object} [options={}]
+     * @param {boolean} [options.includeData=false] - Attach stored session data as `.session.data`.
+     * @param {string} [options.rateLimit] - A rate limit policy to count this request against (`.session.rateLimit`).
+     * @param {boolean} [options.cookieless] - Issue no cookies and return a session token instead. Defaults to `COOKIELESS_MODE`.
+     * @param {string} [options.tenant] - A tenant profile from `TENANT_PROFILES`. Defaults to the profile matching the hostname.
+     * @param {string} [options.eventType='request'] - The `EVENT_TYPE` recorded for this request (`.session.eventType`).
+     * @returns {Promise<Request>} The enriched request.
+     * @throws {Error} If `options.tenant` names a tenant that is not configured, or if cookieless mode is requested
+     * without `COOKIE_SIGNING_KEYS`.
+     */
+    async processSession(request, options = {}) {
+        const {tenant, env} = resolveTenant(this.env, request, options.tenant);
+        const cookieless = options.cookieless ?? sessionTokenConfigFromEnv(env).cookieless;
+        if (cookieless && !signerFromEnv(env).enabled) {
+            // Without a signing key a token could name any cID, so tokens are never issued.
+            throw new Error('Cookieless mode requires COOKIE_SIGNING_KEYS.');
+        }
         let enrichedRequest;
+        let bot = {botScore: 0, isBot: false, isVerifiedBot: false, botReasons: []};
+        let stableKey = null;
+        let isPersisted = false;
+        const consent = resolveConsent(request, consentConfigFromEnv(env));
         try {
-            const storageReader = cookieStorage({
-                appPrefix: env.COOKIE_APP_PREFIX,
-                serverPrefix: env.SERVER_COOKIE_PREFIX,
-                clientPrefix: env.CLIENT_COOKIE_PREFIX,
-            });
+            const storageReader = cookieStorageFromEnv(env);
             const cookieHeader = request.headers.get('Cookie');
-            const existingCID = storageReader.get(env.CID_COOKIE_NAME || CID_COOKIE, cookieHeader);
+            const {cID: existingCID} = await readIdentifiers(env, request, storageReader);
 
             // --- Optimized Fingerprint & DO Name Logic ---
             const rawFingerprintData = getRawFingerprintData(request);
-            const fpID = createBrowserFingerprint(rawFingerprintData);
+            const fingerprintStrategy = getFingerprintStrategy(env);
+            const fingerprint = createFingerprint(request, rawFingerprintData, fingerprintStrategy);
+            const {fpID, fpVersion} = fingerprint;
+            stableKey = createStableDurableObjectKey(rawFingerprintData);
 
-            let doName;
-            let isNewDoID = false;
-            if (existingCID) {
-                doName = existingCID;
+            // --- Bot Classification ---
+            const botConfig = botConfigFromEnv(env);
+            bot = classifyBot(request, rawFingerprintData, {
+                threshold: botConfig.threshold,
+                rateLimit: botConfig.rateLimit,
+                requestRate: trackRequestRate(stableKey),
+            });
+            if (bot.isBot && botConfig.mode === BOT_MODE.SKIP) {
+                // Confirmed bots get a throwaway context: no Durable Object, no cookies.
+                enrichedRequest = ephemeralRequest(request, {
+                    isNewClient: false,
+                    isNewSession: false,
+                    isNewDoID: false,
+                    isNewFpID: false,
+                }, fingerprintStrategy);
             } else {
-                doName = createStableDurableObjectKey(rawFingerprintData);
-                isNewDoID = true;
-            }
+                let doName;
+                let isNewDoID = false;
+                if (existingCID) {
+                    doName = tenantDoName(tenant, existingCID);
+                } else {
+                    // Without consent a returning visitor must not be recognised by fingerprint, so a new client
+                    // bootstraps in a Durable Object of its own.
+                    doName = tenantDoName(tenant, consent.granted ? stableKey : crypto.randomUUID());
+                    isNewDoID = true;
+                }
 
-            const sessionStub = env.SESSION_DO.getByName(doName, {
-                locationHint: getLocationHint(request.cf)
-            });
+                const sessionStub = env.SESSION_DO.getByName(doName, {
+                    locationHint: getLocationHint(request.cf)
+                });
 
-            const existingFpID = storageReader.get(env.FPID_COOKIE_NAME || FPID_COOKIE, cookieHeader);
-            const isNewFpID = !existingFpID || existingFpID !== fpID;
+                const existingFp = await storageReader.getVerified(env.FPID_COOKIE_NAME || FPID_COOKIE, cookieHeader);
+                const previousFp = parseFingerprintCookie(existingFp.value);
+                // A fingerprint from another strategy can't be compared, so only the cookie is replaced.
+                const isOtherScheme = previousFp !== null && previousFp.fpVersion !== fpVersion;
+                const isNewFpID = !previousFp || (!isOtherScheme && previousFp.fpID !== fpID);
 
-            enrichedRequest = await sessionStub.processSession(request.clone(), doName, fpID, isNewDoID, isNewFpID);
+                const fingerprintCookie = !cookieless && consent.granted ? formatFingerprintCookie(fingerprint) : null;
+                enrichedRequest = await sessionStub.processSession(request.clone(), doName, fpID, isNewDoID, isNewFpID, {
+                    ...options,
+                    cookieless,
+                    tenant,
+                    fingerprintCookie,
+                });
+                enrichedRequest.session.fpVersion = fpVersion;
+                isPersisted = true;
 
-            if (isNewFpID) {
-                const fpIdSeconds = parseInt(env.FP_ID_EXPIRATION_SECONDS, 10) || 31536000;
-                const fpCookieOptions = {
-                    expires: new Date(Date.now() + fpIdSeconds * 1000),
-                    domain: env.COOKIE_DOMAIN || undefined,
-                };
-                const fpCookie = storageReader.set(env.FPID_COOKIE_NAME || FPID_COOKIE, fpID, fpCookieOptions);
-                enrichedRequest.session.setCookieHeaders.push(...fpCookie);
+                // Cookieless clients are identified by their session token alone, so no fingerprint cookie is issued.
+                // With the envelope layout, the Durable Object writes the fingerprint into the envelope.
+                const writesFpCookie = !cookieless && !storageReader.envelopeName;
+                if (writesFpCookie && !consent.granted) {
+                    // No fingerprint cookie without consent; clear one set before consent was withdrawn.
+                    if (storageReader.get(env.FPID_COOKIE_NAME || FPID_COOKIE, cookieHeader) !== null) {
+                        enrichedRequest.session.setCookieHeaders.push(...storageReader.set(env.FPID_COOKIE_NAME || FPID_COOKIE, null));
+                    }
+                } else if (writesFpCookie && (fingerprintCookie !== existingFp.value || needsReissue(existingFp.status))) {
+                    const fpIdSeconds = parseInt(env.FP_ID_EXPIRATION_SECONDS, 10) || 31536000;
+                    const fpCookieOptions = {maxAge: fpIdSeconds};
+                    const fpCookie = await storageReader.setSigned(env.FPID_COOKIE_NAME || FPID_COOKIE, fingerprintCookie, fpCookieOptions);
+                    enrichedRequest.session.setCookieHeaders.push(...fpCookie);
+                }
             }
-
         } catch (error) {
             console.error("Critical error in session worker processSession:", {
                 message: error.message,
@@ -76,14 +204,289 @@ export default class extends WorkerEntrypoint {
             enrichedRequest = fallbackRequest(request, env);
         }
 
+        Object.assign(enrichedRequest.session, bot);
+        enrichedRequest.session.tenant = tenant;
+        enrichedRequest.session.consent ??= consent;
+        enrichedRequest.session.eventType ??= options.eventType || EVENT_TYPE.REQUEST;
+        if (options.rateLimit) {
+            // Ephemeral (fallback or skipped bot) IDs are never seen again, so limit those by fingerprint.
+            const {cID, sID} = isPersisted ? enrichedRequest.session : {cID: null, sID: null};
+            enrichedRequest.session.rateLimit = await enforceRateLimit(env, options.rateLimit, {
+                cID,
+                sID,
+                stableKey: stableKey || createStableDurableObjectKey(getRawFingerprintData(request)),
+            }, tenant);
+        }
         sendAnalytics(request, env, enrichedRequest.session);
 
         return enrichedRequest;
     }
 
-    async fetch(request) {
-        return new Response("Divortio Session Worker is operational via RPC.", {
-            headers: {'Content-Type': 'text/plain'}
+    /**
+     * Reads a value from a client's data store.
+     * @param {string} cID - The Client ID whose Durable Object holds the data.
+     * @param {string} key - The key to read.
+     * @param {import('./lib/sessionData.mjs').SessionDataOptions} [options={}]
+     * @param {string | null} [tenant=null] - The tenant the client belongs to (`.session.tenant`).
+     * @returns {Promise<*>} The stored value, or `null`.
+     */
+    async getSessionData(cID, key, options = {}, tenant = null) {
+        return clientStub(this.env, cID, tenant).getData(key, options);
+    }
+
+    /**
+     * Writes a JSON-serializable value to a client's data store.
+     * @param {string} cID - The Client ID whose Durable Object holds the data.
+     * @param {string} key - The key to write.
+     * @param {*} value - The value to store.
+     * @param {import('./lib/sessionData.mjs').SessionDataOptions} [options={}]
+     * @param {string | null} [tenant=null] - The tenant the client belongs to (`.session.tenant`).
+     * @returns {Promise<void>}
+     */
+    async setSessionData(cID, key, value, options = {}, tenant = null) {
+        return clientStub(this.env, cID, tenant).setData(key, value, options);
+    }
+
+    /**
+     * Deletes a value from a client's data store.
+     * @param {string} cID - The Client ID whose Durable Object holds the data.
+     * @param {string} key - The key to delete.
+     * @param {import('./lib/sessionData.mjs').SessionDataOptions} [options={}]
+     * @param {string | null} [tenant=null] - The tenant the client belongs to (`.session.tenant`).
+     * @returns {Promise<boolean>} True if a value was deleted.
+     */
+    async deleteSessionData(cID, key, options = {}, tenant = null) {
+        return clientStub(this.env, cID, tenant).deleteData(key, options);
+    }
+
+    /**
+     * Links a client to an authenticated user. Apply the returned
+     * `setCookieHeaders` to the response to persist the user binding.
+     * @param {string} cID - The Client ID of the device the user logged in from.
+     * @param {string} userId - Your application's user/account ID.
+     * @param {object} [traits={}] - Optional user traits to merge into the user record.
+     * @param {string | null} [tenant=null] - The tenant the client belongs to (`.session.tenant`).
+     * @returns {Promise<{userId: string, linkedClients: string[], traits: object, setCookieHeaders: string[]}>}
+     */
+    async identify(cID, userId, traits = {}, tenant = null) {
+        return clientStub(this.env, cID, tenant).identify(userId, traits);
+    }
+
+    /**
+     * Ends the authenticated session on a client: clears the user binding and
+     * rotates the sID. The client stays in the user's linked set.
+     * @param {string} cID - The Client ID to log out.
+     * @param {string | null} [tenant=null] - The tenant the client belongs to (`.session.tenant`).
+     * @returns {Promise<{cID: string, sID: string, eID: string, setCookieHeaders: string[]}>}
+     */
+    async logout(cID, tenant = null) {
+        return clientStub(this.env, cID, tenant).logout();
+    }
+
+    /**
+     * Logs a client out and removes it from the user's linked set.
+     * @param {string} cID - The Client ID to unlink.
+     * @param {string | null} [tenant=null] - The tenant the client belongs to (`.session.tenant`).
+     * @returns {Promise<{cID: string, sID: string, eID: string, setCookieHeaders: string[]}>}
+     */
+    async unlink(cID, tenant = null) {
+        return clientStub(this.env, cID, tenant).logout({unlink: true});
+    }
+
+    /**
+     * Revokes a single session. The next request carrying it receives
+     * `isRevoked: true` and a fresh sID.
+     * @param {string} cID - The Client ID that owns the session.
+     * @param {string} sID - The Session ID to revoke.
+     * @param {string | null} [tenant=null] - The tenant the client belongs to (`.session.tenant`).
+     * @returns {Promise<{revoked: string[]}>}
+     */
+    async revokeSession(cID, sID, tenant = null) {
+        return clientStub(this.env, cID, tenant).revokeSession(sID);
+    }
+
+    /**
+     * Revokes every session that currently exists for a client.
+     * @param {string} cID - The Client ID.
+     * @param {string | null} [tenant=null] - The tenant the client belongs to (`.session.tenant`).
+     * @returns {Promise<{revokedBefore: number}>}
+     */
+    async revokeClientSessions(cID, tenant = null) {
+        return clientStub(this.env, cID, tenant).revokeAllSessions();
+    }
+
+    /**
+     * Revokes every session of every client linked to a user ("log out everywhere").
+     * @param {string} userId - The user ID passed to `identify`.
+     * @param {string | null} [tenant=null] - The tenant the user belongs to.
+     * @returns {Promise<{revokedClients: string[]}>}
+     */
+    async revokeUserSessions(userId, tenant = null) {
+        return this.env.USER_DO.getByName(tenantDoName(tenant, userId)).revokeAllSessions();
+    }
+
+    /**
+     * Records a consent decision in the client's audit trail. Apply the
+     * returned `setCookieHeaders` to persist the decision in the consent cookie.
+     * @param {string} cID - The Client ID.
+     * @param {{categories: string[], version?: string, source?: string}} decision - The granted
+     * categories, the version of the consent text shown, and where the decision was made.
+     * @param {string | null} [tenant=null] - The tenant the client belongs to (`.session.tenant`).
+     * @returns {Promise<{categories: string[], version: string|null, source: string, recordedAt: number, setCookieHeaders: string[]}>}
+     */
+    async recordConsent(cID, decision, tenant = null) {
+        return clientStub(this.env, cID, tenant).recordConsent(decision);
+    }
+
+    /**
+     * Returns every consent decision recorded for a client, oldest first.
+     * @param {string} cID - The Client ID.
+     * @param {string | null} [tenant=null] - The tenant the client belongs to (`.session.tenant`).
+     * @returns {Promise<{sID: string|null, categories: string[], version: string|null, source: string, recordedAt: number}[]>}
+     */
+    async getConsentHistory(cID, tenant = null) {
+        return clientStub(this.env, cID, tenant).getConsentHistory();
+    }
+
+    /**
+     * Returns everything stored about a client (data subject access request):
+     * its state, sessions, event history, stored data and consent decisions.
+     * @param {string} cID - The Client ID.
+     * @param {string | null} [tenant=null] - The tenant the client belongs to (`.session.tenant`).
+     * @returns {Promise<object>} A JSON-serializable export, keyed by table.
+     */
+    async exportClientData(cID, tenant = null) {
+        return clientStub(this.env, cID, tenant).exportData();
+    }
+
+    /**
+     * Permanently erases a client: deletes its Durable Object storage and
+     * alarm, its bootstrap Durable Object, and its user link. The erasure is
+     * recorded in the tamper-evident audit log without any personal data.
+     * Apply the returned `setCookieHeaders` to expire every identifier cookie.
+     * @param {string} cID - The Client ID.
+     * @param {string | null} [tenant=null] - The tenant the client belongs to (`.session.tenant`).
+     * @returns {Promise<{records: object, bootstrapErased: boolean, userUnlinked: boolean,
+     * receipt: {seq: number, erasedAt: number, hash: string}|null, setCookieHeaders: string[]}>}
+     */
+    async eraseClient(cID, tenant = null) {
+        return clientStub(this.env, cID, tenant).erase();
+    }
+
+    /**
+     * Verifies the hash chain of the erasure audit log.
+     * @returns {Promise<{valid: boolean, entries: number, brokenAt: number|null}>}
+     */
+    async verifyErasureLog() {
+        return this.env.AUDIT_DO.getByName(ERASURE_LOG_NAME).verify();
+    }
+
+    /**
+     * Returns a page of a client's event history, oldest first.
+     * @param {string} cID - The Client ID.
+     * @param {import('./lib/eventHistory.mjs').TimelineQuery} [query={}] - Filters and paging.
+     * @param {string | null} [tenant=null] - The tenant the client belongs to (`.session.tenant`).
+     * @returns {Promise<{events: import('./lib/eventHistory.mjs').HistoryEvent[], nextCursor: string|null}>}
+     */
+    async getTimeline(cID, query = {}, tenant = null) {
+        return clientStub(this.env, cID, tenant).getTimeline(query);
+    }
+
+    /**
+     * Records an application-defined event (a click, form submit, purchase, ...)
+     * in the current session of the request's cookies or session token, with a
+     * new eID, and writes it to the `STATS_CUSTOM` dataset. Unlike
+     * `processSession`, it never creates a client or starts a session.
+     * @param {Request} request - The incoming request.
+     * @param {{name: string, properties?: object, value?: number}} event - The event.
+     * @returns {Promise<{cID: string, sID: string, eID: string, timestamp: number} | null>} The recorded
+     * event's identifiers, or `null` if the request has no current session.
+     * @throws {Error} If the event is invalid (see `CUSTOM_EVENT_LIMITS`).
+     */
+    async trackEvent(request, event) {
+        const customEvent = normalizeCustomEvent(event);
+        const {tenant, env} = resolveTenant(this.env, request);
+        const {cID, sID} = await readIdentifiers(env, request, cookieStorageFromEnv(env));
+        if (!cID || !sID) return null;
+
+        const {fpID} = createFingerprint(request, getRawFingerprintData(request), getFingerprintStrategy(env));
+        const tracked = await clientStub(env, cID, tenant)
+            .trackEvent(request.clone(), sID, fpID, customEvent, {tenant});
+        if (tracked) {
+            sendCustomEvent(request, env, {...tracked, consent: resolveConsent(request, consentConfigFromEnv(env))}, customEvent);
+        }
+        return tracked;
+    }
+
+    /**
+     * Counts a request against a named rate limit policy without processing
+     * the session. The policy's key (cID, sID or fingerprint) is read from
+     * the request's signed cookies or session token; requests without it are
+     * limited by fingerprint.
+     * @param {Request} request - The incoming request.
+     * @param {string} policyName - The policy name from `RATE_LIMIT_POLICIES`.
+     * @param {number} [cost=1] - How many requests this counts as, e.g. the events of a `/collect` batch.
+     * @returns {Promise<import('./lib/rateLimiter.mjs').RateLimitResult & {headers: object}>}
+     */
+    async checkRateLimit(request, policyName, cost = 1) {
+        const {tenant, env} = resolveTenant(this.env, request);
+        const storageReader = cookieStorageFromEnv(env);
+        const {cID, sID} = await readIdentifiers(env, request, storageReader);
+        const policy = getRateLimitPolicy(env, policyName);
+        const {doName, key} = rateLimitTarget(policy, {
+            cID,
+            sID,
+            stableKey: createStableDurableObjectKey(getRawFingerprintData(request)),
+        });
+        return env.SESSION_DO.getByName(tenantDoName(tenant, doName)).checkRateLimit(policy.name, key, cost);
+    }
+
+    /**
+     * Validates the CSRF token of a request against the token of the session
+     * in its cookies or session token. Safe methods (GET, HEAD, OPTIONS, TRACE) always pass.
+     * The token is read from the `X-CSRF-Token` header, or the `_csrf` field of
+     * a form body.
+     * @param {Request} request - The incoming request.
+     * @returns {Promise<{valid: boolean, reason: import('./lib/csrf.mjs').CSRF_RESULT}>}
+     */
+    async verifyCsrf(request) {
+        const {tenant, env} = resolveTenant(this.env, request);
+        if (isSafeMethod(request.method)) {
+            return {valid: true, reason: CSRF_RESULT.SAFE_METHOD};
+        }
+
+        const token = await extractCsrfToken(request, {
+            headerName: env.CSRF_HEADER_NAME || undefined,
+            fieldName: env.CSRF_FIELD_NAME || undefined,
         });
+        if (!token) {
+            return {valid: false, reason: CSRF_RESULT.MISSING_TOKEN};
+        }
+
+        const {cID, sID} = await readIdentifiers(env, request, cookieStorageFromEnv(env));
+        if (!cID || !sID) {
+            return {valid: false, reason: CSRF_RESULT.NO_SESSION};
+        }
+
+        const reason = await clientStub(env, cID, tenant).verifyCsrf(sID, token);
+        return {valid: reason === CSRF_RESULT.VALID, reason};
+    }
+
+    /**
+     * Serves the browser SDK (`src/sdk/index.mjs`) and the HTTP/JSON admin API
+     * (`src/lib/adminApi.mjs`).
+     * @param {Request} request - The incoming request.
+     * @returns {Promise<Response>}
+     */
+    async fetch(request) {
+        const {pathname} = new URL(request.url);
+        if (pathname === '/') {
+            return new Response("Divortio Session Worker is operational via RPC.", {
+                headers: {'Content-Type': 'text/plain'}
+            });
+        }
+        if (pathname === SDK_PATH) return handleSdkRequest(request, this.env);
+        if (pathname === COLLECT_PATH) return handleCollect(request, this);
+        return handleAdminRequest(request, this.env);
     }
 }
\ No newline at end of file